@@ -0,0 +1,185 @@
+// Global search for the app shell
+// Content sources register themselves; results are grouped by source and each one routes to its view
+// Needs search-match.js (matchSearchText, appendHighlightedText)
+
+const APP_SEARCH_CONFIG = {
+  debounceMs: 200,
+  maxResultsPerGroup: 5,
+  keywordWeight: 0.9                // Keyword/tag hits rank just under title hits
+};
+
+class AppSearch {
+  constructor({ input, onSelect }) {
+    this.input = input;
+    this.onSelect = onSelect;
+    this.sources = [];
+    this.itemCache = new Map();
+    this.activeIndex = -1;
+    this.debounceTimer = null;
+    this.searchId = 0;
+
+    this.resultsElement = document.createElement("div");
+    this.resultsElement.className = "search-results hidden";
+    this.resultsElement.setAttribute("role", "listbox");
+    this.input.insertAdjacentElement("afterend", this.resultsElement);
+  }
+
+  // source: { id, label, load: async () => [{ title, subtitle, keywords, route }] }
+  registerSource(source) {
+    this.sources.push(source);
+    return this;
+  }
+
+  attach() {
+    this.input.addEventListener("input", () => {
+      clearTimeout(this.debounceTimer);
+      this.debounceTimer = setTimeout(() => this.run(this.input.value), APP_SEARCH_CONFIG.debounceMs);
+    });
+
+    this.input.addEventListener("keydown", (e) => {
+      const items = this.resultsElement.querySelectorAll(".search-result");
+
+      if (e.key === "ArrowDown") {
+        e.preventDefault();
+        this.setActive(items, this.activeIndex + 1 >= items.length ? 0 : this.activeIndex + 1);
+      } else if (e.key === "ArrowUp") {
+        e.preventDefault();
+        this.setActive(items, this.activeIndex - 1 < 0 ? items.length - 1 : this.activeIndex - 1);
+      } else if (e.key === "Enter") {
+        e.preventDefault();
+        const item = items[this.activeIndex] || items[0];
+        if (item) item.click();
+      } else if (e.key === "Escape") {
+        this.close();
+      }
+    });
+
+    document.addEventListener("click", (e) => {
+      if (e.target !== this.input && !this.resultsElement.contains(e.target)) {
+        this.close();
+      }
+    });
+
+    return this;
+  }
+
+  async run(value) {
+    const searchId = ++this.searchId;
+    const groups = await this.search(value);
+
+    // A newer query finished first
+    if (searchId !== this.searchId) return;
+    this.render(groups);
+  }
+
+  async search(value) {
+    const query = normalizeSearchQuery(value);
+    if (!query) return [];
+
+    const groups = await Promise.all(this.sources.map(async (source) => {
+      const items = await this.loadSource(source);
+      const results = items
+        .map((item, order) => ({ ...this.scoreItem(query, item), item, order }))
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score || a.order - b.order)
+        .slice(0, APP_SEARCH_CONFIG.maxResultsPerGroup);
+
+      return { source, results };
+    }));
+
+    return groups.filter(group => group.results.length > 0);
+  }
+
+  async loadSource(source) {
+    if (!this.itemCache.has(source.id)) {
+      const loading = Promise.resolve(source.load()).catch(error => {
+        console.error(`Search source "${source.id}" failed to load:`, error);
+        this.itemCache.delete(source.id);
+        return [];
+      });
+      this.itemCache.set(source.id, loading);
+    }
+    return this.itemCache.get(source.id);
+  }
+
+  // Best of the title match and any keyword match; highlights only apply to the title
+  scoreItem(query, item) {
+    let best = { score: 0, indices: [] };
+
+    const titleMatch = matchSearchText(query, item.title);
+    if (titleMatch) best = titleMatch;
+
+    (item.keywords || []).forEach(keyword => {
+      const keywordMatch = matchSearchText(query, keyword);
+      if (keywordMatch && keywordMatch.score * APP_SEARCH_CONFIG.keywordWeight > best.score) {
+        best = { score: keywordMatch.score * APP_SEARCH_CONFIG.keywordWeight, indices: [] };
+      }
+    });
+
+    return best;
+  }
+
+  render(groups) {
+    this.resultsElement.innerHTML = "";
+    this.activeIndex = -1;
+
+    if (!this.input.value.trim()) {
+      this.close();
+      return;
+    }
+
+    if (groups.length === 0) {
+      const empty = document.createElement("div");
+      empty.className = "search-empty";
+      empty.textContent = `No results for "${this.input.value.trim()}"`;
+      this.resultsElement.appendChild(empty);
+    }
+
+    groups.forEach(({ source, results }) => {
+      const heading = document.createElement("div");
+      heading.className = "search-group";
+      heading.textContent = source.label;
+      this.resultsElement.appendChild(heading);
+
+      results.forEach(({ item, indices }) => {
+        const row = document.createElement("div");
+        row.className = "search-result";
+        row.setAttribute("role", "option");
+
+        const title = document.createElement("span");
+        title.className = "search-result-title";
+        appendHighlightedText(title, item.title, indices);
+        row.appendChild(title);
+
+        if (item.subtitle) {
+          const subtitle = document.createElement("span");
+          subtitle.className = "search-result-subtitle";
+          subtitle.textContent = item.subtitle;
+          row.appendChild(subtitle);
+        }
+
+        row.addEventListener("click", () => {
+          this.close();
+          this.input.value = "";
+          this.onSelect(item);
+        });
+        this.resultsElement.appendChild(row);
+      });
+    });
+
+    this.resultsElement.classList.remove("hidden");
+  }
+
+  setActive(items, index) {
+    this.activeIndex = index;
+    items.forEach((item, itemIndex) => {
+      item.classList.toggle("highlighted", itemIndex === index);
+    });
+    if (items[index]) items[index].scrollIntoView({ block: "nearest" });
+  }
+
+  close() {
+    this.resultsElement.classList.add("hidden");
+    this.activeIndex = -1;
+  }
+}
@@ -0,0 +1,173 @@
+// Auth client for the app shell login
+// Posts credentials to a configurable endpoint and keeps the session token in storage
+// "Remember me" sessions live in localStorage, everything else in sessionStorage
+//
+// Backend contract (mock-auth.js answers the same way on local dev):
+//   POST loginEndpoint   JSON { username, password, remember }
+//     200 { token, expiresIn (seconds), user: { username } }
+//     400 { error: 'validation', message, fields: { username?, password? } }
+//     401 { error: 'invalid_credentials', message, fields? }
+//     429 { error: 'locked', message, retryAfter (seconds) }
+//   POST logoutEndpoint  Authorization: Bearer <token>  ->  204
+// Any other failure shows `message` when the body has one
+
+const AUTH_CONFIG = {
+  loginEndpoint: '/api/auth/login',
+  logoutEndpoint: '/api/auth/logout',
+  storageKey: 'homara.session',
+  // Mock logins (mock-auth.js) only on local dev; everywhere else talks to /api/auth
+  useMockBackend: ['localhost', '127.0.0.1'].includes(window.location.hostname)
+};
+
+// setTimeout overflows past ~24.8 days, so long sessions re-check in steps
+const MAX_TIMER_DELAY = 2147483647;
+
+// Error thrown by AuthClient.login
+// code: 'validation' | 'invalid_credentials' | 'locked' | 'network' | 'server'
+// fieldErrors: { username?: string, password?: string }
+// retryAfter: seconds until a locked account can try again
+class AuthError extends Error {
+  constructor(message, { code = 'server', fieldErrors = {}, retryAfter = 0 } = {}) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+    this.fieldErrors = fieldErrors;
+    this.retryAfter = retryAfter;
+  }
+}
+
+class AuthClient {
+  constructor(config = {}) {
+    this.config = { ...AUTH_CONFIG, ...config };
+    this.fetch = this.config.fetch || window.fetch.bind(window);
+    this.expiryTimer = null;
+    this.expiredListeners = [];
+
+    // Resume the expiry timer for a session stored by a previous visit
+    const session = this.getSession();
+    if (session) {
+      this.scheduleExpiry(session);
+    }
+  }
+
+  // Resolves with the session, rejects with an AuthError
+  async login({ username, password, remember = false }) {
+    const fieldErrors = {};
+    if (!username || !username.trim()) fieldErrors.username = 'Enter your username.';
+    if (!password) fieldErrors.password = 'Enter your password.';
+    if (Object.keys(fieldErrors).length > 0) {
+      throw new AuthError('Please fill in every field.', { code: 'validation', fieldErrors });
+    }
+
+    let response;
+    try {
+      response = await this.fetch(this.config.loginEndpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: username.trim(), password, remember })
+      });
+    } catch (error) {
+      throw new AuthError('Could not reach the server. Check your connection.', { code: 'network' });
+    }
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new AuthError(data.message || 'Login failed.', {
+        code: data.error || 'server',
+        fieldErrors: data.fields || {},
+        retryAfter: data.retryAfter || 0
+      });
+    }
+
+    const session = {
+      token: data.token,
+      user: data.user,
+      expiresAt: Date.now() + data.expiresIn * 1000,
+      remember
+    };
+
+    this.clearStoredSession();
+    this.getStorage(remember).setItem(this.config.storageKey, JSON.stringify(session));
+    this.scheduleExpiry(session);
+
+    return session;
+  }
+
+  async logout() {
+    const session = this.getSession();
+    this.endSession();
+
+    if (session) {
+      // Best effort - the local session is already gone
+      try {
+        await this.fetch(this.config.logoutEndpoint, {
+          method: 'POST',
+          headers: { Authorization: `Bearer ${session.token}` }
+        });
+      } catch (error) {
+        console.warn('Logout request failed:', error);
+      }
+    }
+  }
+
+  // Stored session, or null when missing or expired
+  getSession() {
+    const stored = localStorage.getItem(this.config.storageKey) ||
+      sessionStorage.getItem(this.config.storageKey);
+    if (!stored) return null;
+
+    let session;
+    try {
+      session = JSON.parse(stored);
+    } catch (error) {
+      this.clearStoredSession();
+      return null;
+    }
+
+    if (!session.token || session.expiresAt <= Date.now()) {
+      this.clearStoredSession();
+      return null;
+    }
+
+    return session;
+  }
+
+  isAuthenticated() {
+    return this.getSession() !== null;
+  }
+
+  // Called when a session runs out while the page is open
+  onSessionExpired(callback) {
+    this.expiredListeners.push(callback);
+  }
+
+  scheduleExpiry(session) {
+    clearTimeout(this.expiryTimer);
+    const delay = Math.min(Math.max(0, session.expiresAt - Date.now()), MAX_TIMER_DELAY);
+
+    this.expiryTimer = setTimeout(() => {
+      if (session.expiresAt > Date.now()) {
+        this.scheduleExpiry(session);
+        return;
+      }
+      this.endSession();
+      this.expiredListeners.forEach(callback => callback());
+    }, delay);
+  }
+
+  endSession() {
+    clearTimeout(this.expiryTimer);
+    this.expiryTimer = null;
+    this.clearStoredSession();
+  }
+
+  clearStoredSession() {
+    localStorage.removeItem(this.config.storageKey);
+    sessionStorage.removeItem(this.config.storageKey);
+  }
+
+  getStorage(remember) {
+    return remember ? localStorage : sessionStorage;
+  }
+}
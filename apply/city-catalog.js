@@ -0,0 +1,20 @@
+// City catalog shared by the Apply page (script.js) and the app shell (view-city.js, city search)
+// fetchCityCatalog() -> cities with every optional field filled in, so callers never see undefined
+
+const CITY_CATALOG_URL = 'cities.json';
+
+async function fetchCityCatalog() {
+  const response = await fetch(CITY_CATALOG_URL);
+  if (!response.ok) {
+    throw new Error(`Could not load ${CITY_CATALOG_URL} (${response.status})`);
+  }
+
+  const data = await response.json();
+  return data.cities.map(city => ({
+    ...city,
+    label: city.label || city.name.toUpperCase(),
+    textStyle: city.textStyle || 'default',
+    aliases: city.aliases || [],
+    region: city.region || ''
+  }));
+}
@@ -1,34 +1,251 @@
-window.onload = () => {
-  setTimeout(() => {
-    document.getElementById("splash-screen").classList.add("fade-out");
-    setTimeout(() => {
-      document.getElementById("splash-screen").style.display = "none";
-      document.getElementById("login-screen").classList.remove("hidden");
-    }, 500);
-  }, 3500);
+// App shell: splash -> login -> app
+// Load order: auth.js, mock-auth.js, router.js, search-match.js, city-catalog.js, app-search.js, splash.js, then this file
+
+const authClient = new AuthClient({
+  fetch: AUTH_CONFIG.useMockBackend ? createMockAuthFetch() : undefined
+});
+
+const router = new Router({
+  outlet: document.getElementById("content"),
+  notFound: {
+    requiresAuth: true,
+    title: "Homara - Not Found",
+    render(outlet) {
+      outlet.innerHTML = '<p>Page not found.</p><a href="#/" data-route="/">Back to Home</a>';
+    }
+  }
+});
+
+router
+  .register("/", {
+    title: "Homara",
+    render(outlet) {
+      outlet.innerText = "Welcome to the Home page!";
+    }
+  })
+  .register("/about", {
+    title: "Homara - About",
+    load: () => import("./view-about.js")
+  })
+  .register("/community", {
+    title: "Homara - Community",
+    load: () => import("./view-community.js")
+  })
+  .register("/community/:id", {
+    title: "Homara - Community",
+    load: () => import("./view-community.js")
+  })
+  .register("/city/:id", {
+    title: "Homara - City",
+    load: () => import("./view-city.js")
+  })
+  .addGuard(route => {
+    if (route.requiresAuth && !authClient.isAuthenticated()) {
+      showLogin();
+      return false;
+    }
+    return true;
+  });
+
+let lockoutTimer = null;
+
+window.onload = async () => {
+  setupLoginControls();
+
+  const splash = new SplashScreen(document.getElementById("splash-screen"));
+  await splash.run({ assetsReady: preloadAppAssets() });
+
+  if (authClient.isAuthenticated()) {
+    showApp();
+  } else {
+    showLogin();
+  }
+  router.start();
 };
 
-document.getElementById("login-form").addEventListener("submit", function(e) {
+// Fonts plus the search data (which also pulls in the community view)
+function preloadAppAssets() {
+  return Promise.all([
+    document.fonts ? document.fonts.ready : null,
+    ...appSearch.sources.map(source => appSearch.loadSource(source))
+  ]);
+}
+
+authClient.onSessionExpired(() => {
+  showLogin("Your session has expired. Please log in again.");
+});
+
+document.getElementById("login-form").addEventListener("submit", async function(e) {
   e.preventDefault();
   const username = document.getElementById("username").value;
   const password = document.getElementById("password").value;
-  
-  if (username === "halo" && password === "pass") {
-    document.getElementById("login-screen").style.display = "none";
-    document.getElementById("app").classList.remove("hidden");
-  } else {
-    document.getElementById("login-error").classList.remove("hidden");
+  const remember = document.getElementById("remember-me").checked;
+  const submitButton = this.querySelector("button[type='submit'], button");
+
+  clearLoginErrors();
+  submitButton.disabled = true;
+
+  try {
+    await authClient.login({ username, password, remember });
+    document.getElementById("password").value = "";
+    showApp();
+    router.resolve();
+  } catch (error) {
+    showLoginErrors(error);
+  } finally {
+    if (!lockoutTimer) submitButton.disabled = false;
   }
 });
 
+function showLogin(message) {
+  document.getElementById("app").classList.add("hidden");
+  document.getElementById("login-screen").style.display = "";
+  document.getElementById("login-screen").classList.remove("hidden");
+  clearLoginErrors();
+  if (message) showLoginMessage(message);
+}
+
+function showApp() {
+  document.getElementById("login-screen").style.display = "none";
+  document.getElementById("app").classList.remove("hidden");
+}
+
+async function logout() {
+  await authClient.logout();
+  showLogin();
+}
+
+// Add the remember-me checkbox, per-field error slots and logout button when the markup lacks them
+function setupLoginControls() {
+  const form = document.getElementById("login-form");
+
+  ["username", "password"].forEach(field => {
+    if (document.getElementById(`${field}-error`)) return;
+    const fieldError = document.createElement("div");
+    fieldError.id = `${field}-error`;
+    fieldError.className = "field-error hidden";
+    document.getElementById(field).insertAdjacentElement("afterend", fieldError);
+  });
+
+  if (!document.getElementById("remember-me")) {
+    const label = document.createElement("label");
+    label.className = "remember-me";
+    label.innerHTML = '<input type="checkbox" id="remember-me"> Remember me';
+    form.querySelector("button").insertAdjacentElement("beforebegin", label);
+  }
+
+  if (!document.getElementById("logout-button")) {
+    const logoutButton = document.createElement("button");
+    logoutButton.id = "logout-button";
+    logoutButton.type = "button";
+    logoutButton.textContent = "Log out";
+    document.getElementById("menu").appendChild(logoutButton);
+  }
+  document.getElementById("logout-button").addEventListener("click", logout);
+}
+
+function showLoginMessage(message) {
+  const loginError = document.getElementById("login-error");
+  loginError.textContent = message;
+  loginError.classList.remove("hidden");
+}
+
+function showLoginErrors(error) {
+  if (error.code === "locked") {
+    startLockoutCountdown(error.retryAfter);
+    return;
+  }
+
+  Object.entries(error.fieldErrors || {}).forEach(([field, message]) => {
+    const fieldError = document.getElementById(`${field}-error`);
+    if (!fieldError) return;
+    fieldError.textContent = message;
+    fieldError.classList.remove("hidden");
+    document.getElementById(field).classList.add("invalid");
+  });
+
+  showLoginMessage(error.message);
+}
+
+function clearLoginErrors() {
+  document.getElementById("login-error").classList.add("hidden");
+  ["username", "password"].forEach(field => {
+    const fieldError = document.getElementById(`${field}-error`);
+    if (fieldError) fieldError.classList.add("hidden");
+    document.getElementById(field).classList.remove("invalid");
+  });
+}
+
+// Keep the form disabled and count down until the server lets this user try again
+function startLockoutCountdown(seconds) {
+  const submitButton = document.querySelector("#login-form button[type='submit'], #login-form button");
+  const unlockAt = Date.now() + seconds * 1000;
+
+  const tick = () => {
+    const remaining = Math.ceil((unlockAt - Date.now()) / 1000);
+    if (remaining <= 0) {
+      clearInterval(lockoutTimer);
+      lockoutTimer = null;
+      submitButton.disabled = false;
+      clearLoginErrors();
+      return;
+    }
+    const minutes = Math.floor(remaining / 60);
+    const secs = String(remaining % 60).padStart(2, "0");
+    showLoginMessage(`Too many failed attempts. Try again in ${minutes}:${secs}.`);
+  };
+
+  clearInterval(lockoutTimer);
+  submitButton.disabled = true;
+  lockoutTimer = setInterval(tick, 1000);
+  tick();
+}
+
+// Menu buttons call navigateTo('home' | 'about' | 'community')
 function navigateTo(page) {
-  const content = document.getElementById("content");
-  if (page === 'home') content.innerText = "Welcome to the Home page!";
-  if (page === 'about') content.innerText = "Learn more about our mission here.";
-  if (page === 'community') content.innerText = "Explore the Community section!";
+  router.navigate(page === 'home' ? "/" : `/${page}`);
 }
 
-document.getElementById("searchbar").addEventListener("input", function () {
-  const val = this.value.toLowerCase();
-  document.getElementById("content").innerText = `Searching for: ${val}`;
+const appSearch = new AppSearch({
+  input: document.getElementById("searchbar"),
+  onSelect: item => router.navigate(item.route)
 });
+
+appSearch
+  .registerSource({
+    id: "pages",
+    label: "Pages",
+    load: () => [
+      { title: "Home", route: "/", keywords: ["welcome", "start"] },
+      { title: "About", route: "/about", keywords: ["mission", "homara"] },
+      { title: "Community", route: "/community", keywords: ["communities", "members"] }
+    ]
+  })
+  .registerSource({
+    id: "cities",
+    label: "Cities",
+    load: async () => {
+      const cities = await fetchCityCatalog();
+      return cities.map(city => ({
+        title: city.name,
+        subtitle: city.region,
+        keywords: [...city.aliases, city.region].filter(Boolean),
+        route: `/city/${city.id}`
+      }));
+    }
+  })
+  .registerSource({
+    id: "communities",
+    label: "Communities",
+    load: async () => {
+      const { loadCommunities } = await import("./view-community.js");
+      const communities = await loadCommunities();
+      return communities.map(community => ({
+        title: community.name,
+        subtitle: community.description,
+        keywords: community.tags || [],
+        route: `/community/${community.id}`
+      }));
+    }
+  })
+  .attach();
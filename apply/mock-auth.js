@@ -0,0 +1,92 @@
+// Offline stand-in for the auth server
+// Returns a fetch-compatible function that answers AuthClient's login/logout requests
+// Usage: new AuthClient({ fetch: createMockAuthFetch() })
+
+const MOCK_AUTH_CONFIG = {
+  users: { halo: 'pass' },      // username -> password
+  sessionSeconds: 60 * 60,      // 1 hour
+  rememberSeconds: 30 * 24 * 60 * 60, // 30 days when "remember me" is checked
+  maxFailedAttempts: 5,         // Lock the username after this many wrong passwords
+  lockoutSeconds: 5 * 60,
+  latency: 300                  // Simulated network delay (ms)
+};
+
+function createMockAuthFetch(config = {}) {
+  const settings = { ...MOCK_AUTH_CONFIG, ...config };
+  const failedAttempts = {};    // username -> count
+  const lockedUntil = {};       // username -> timestamp
+  const activeTokens = new Set();
+
+  const respond = (status, body) => new Promise(resolve => {
+    setTimeout(() => {
+      resolve({
+        ok: status >= 200 && status < 300,
+        status,
+        json: async () => body
+      });
+    }, settings.latency);
+  });
+
+  const handleLogin = ({ username = '', password = '', remember = false }) => {
+    const fields = {};
+    if (!username) fields.username = 'Enter your username.';
+    if (!password) fields.password = 'Enter your password.';
+    if (Object.keys(fields).length > 0) {
+      return respond(400, { error: 'validation', message: 'Please fill in every field.', fields });
+    }
+
+    const lockRemaining = (lockedUntil[username] || 0) - Date.now();
+    if (lockRemaining > 0) {
+      return respond(429, {
+        error: 'locked',
+        message: 'Too many failed attempts.',
+        retryAfter: Math.ceil(lockRemaining / 1000)
+      });
+    }
+
+    if (settings.users[username] !== password) {
+      failedAttempts[username] = (failedAttempts[username] || 0) + 1;
+
+      if (failedAttempts[username] >= settings.maxFailedAttempts) {
+        failedAttempts[username] = 0;
+        lockedUntil[username] = Date.now() + settings.lockoutSeconds * 1000;
+        return respond(429, {
+          error: 'locked',
+          message: 'Too many failed attempts.',
+          retryAfter: settings.lockoutSeconds
+        });
+      }
+
+      const attemptsLeft = settings.maxFailedAttempts - failedAttempts[username];
+      return respond(401, {
+        error: 'invalid_credentials',
+        message: 'Incorrect username or password.',
+        fields: { password: `Incorrect password. ${attemptsLeft} attempt${attemptsLeft === 1 ? '' : 's'} left.` }
+      });
+    }
+
+    failedAttempts[username] = 0;
+    const token = `mock-${Math.random().toString(36).slice(2)}${Date.now().toString(36)}`;
+    activeTokens.add(token);
+
+    return respond(200, {
+      token,
+      expiresIn: remember ? settings.rememberSeconds : settings.sessionSeconds,
+      user: { username }
+    });
+  };
+
+  return async function mockAuthFetch(url, options = {}) {
+    if (url.endsWith('/login')) {
+      return handleLogin(JSON.parse(options.body || '{}'));
+    }
+
+    if (url.endsWith('/logout')) {
+      const authorization = (options.headers && options.headers.Authorization) || '';
+      activeTokens.delete(authorization.replace('Bearer ', ''));
+      return respond(204, {});
+    }
+
+    return respond(404, { error: 'not_found', message: `No mock route for ${url}` });
+  };
+}
@@ -0,0 +1,139 @@
+// Client-side router for the app shell
+// Routes live in the hash (app.html#/about) so reloads and deep links work on static hosting,
+// while navigation still goes through history.pushState so back/forward behave normally
+
+class Router {
+  constructor({ outlet, notFound }) {
+    this.outlet = outlet;
+    this.notFound = notFound;
+    this.routes = [];
+    this.guards = [];
+    this.moduleCache = new Map();
+    this.resolveId = 0;
+    this.started = false;
+  }
+
+  // path: '/about' or with params '/city/:id'
+  // options.render(outlet, params, { isCurrent }) draws the view; async renders should check
+  // isCurrent() after every await and leave the outlet alone once it returns false
+  // options.load() => import('./view-x.js') lazily loads a module that exports render()
+  register(path, { render, load, requiresAuth = true, title } = {}) {
+    const paramNames = [];
+    const pattern = path.replace(/:([^/]+)/g, (match, name) => {
+      paramNames.push(name);
+      return '([^/]+)';
+    });
+
+    this.routes.push({
+      path,
+      render,
+      load,
+      requiresAuth,
+      title,
+      paramNames,
+      regex: new RegExp(`^${pattern}/?$`)
+    });
+    return this;
+  }
+
+  // guard(route, params) returns true to continue, false to stop,
+  // or a path string to redirect to
+  addGuard(guard) {
+    this.guards.push(guard);
+    return this;
+  }
+
+  start() {
+    if (this.started) return this.resolve();
+    this.started = true;
+
+    window.addEventListener('popstate', () => this.resolve());
+
+    // Any element with data-route="/path" navigates without a page load
+    document.addEventListener('click', (e) => {
+      const link = e.target.closest('[data-route]');
+      if (!link) return;
+      e.preventDefault();
+      this.navigate(link.dataset.route);
+    });
+
+    return this.resolve();
+  }
+
+  navigate(path, { replace = false } = {}) {
+    const url = `${window.location.pathname}${window.location.search}#${path}`;
+    if (path !== this.getCurrentPath()) {
+      history[replace ? 'replaceState' : 'pushState']({ path }, '', url);
+    }
+    return this.resolve();
+  }
+
+  getCurrentPath() {
+    return window.location.hash.replace(/^#/, '') || '/';
+  }
+
+  match(path) {
+    for (const route of this.routes) {
+      const result = route.regex.exec(path);
+      if (!result) continue;
+
+      const params = {};
+      route.paramNames.forEach((name, index) => {
+        params[name] = decodeURIComponent(result[index + 1]);
+      });
+      return { route, params };
+    }
+    return { route: { ...this.notFound, path: null }, params: {} };
+  }
+
+  async resolve() {
+    const resolveId = ++this.resolveId;
+    const path = this.getCurrentPath();
+    const { route, params } = this.match(path);
+
+    for (const guard of this.guards) {
+      const result = guard(route, params);
+      if (result === false) return;
+      if (typeof result === 'string' && result !== path) {
+        return this.navigate(result, { replace: true });
+      }
+    }
+
+    let render = route.render;
+    if (!render && route.load) {
+      try {
+        render = await this.loadView(route);
+      } catch (error) {
+        console.error(`Failed to load view for ${path}:`, error);
+        render = this.notFound.render;
+      }
+    }
+
+    // A newer navigation started while this view was loading
+    const isCurrent = () => resolveId === this.resolveId;
+    if (!isCurrent()) return;
+
+    this.outlet.innerHTML = '';
+    if (route.title) document.title = route.title;
+    try {
+      await render(this.outlet, params, { isCurrent });
+    } catch (error) {
+      console.error(`Failed to render ${path}:`, error);
+    }
+  }
+
+  async loadView(route) {
+    if (!this.moduleCache.has(route.path)) {
+      this.moduleCache.set(route.path, route.load());
+    }
+
+    try {
+      const module = await this.moduleCache.get(route.path);
+      return module.render;
+    } catch (error) {
+      // Let the next visit retry the import
+      this.moduleCache.delete(route.path);
+      throw error;
+    }
+  }
+}
@@ -1,22 +1,19 @@
-// City data and configuration
-const cities = [
-  'Chicago', 'New York', 'Portland', 'Los Angeles', 
-  'Miami', 'Austin', 'Seattle', 'San Francisco'
-];
-
-const cityWebsites = {
-  'CHICAGO': 'https://www.chicago.gov',
-  'NEW YORK': 'https://www.nyc.gov',
-  'PORTLAND': 'https://www.portland.gov',
-  'LOS ANGELES': 'https://www.lacity.org',
-  'MIAMI': 'https://www.miamigov.com',
-  'AUSTIN': 'https://www.austintexas.gov',
-  'SEATTLE': 'https://www.seattle.gov',
-  'SAN FRANCISCO': 'https://www.sf.gov'
+// City catalog configuration (loading lives in city-catalog.js)
+const BOX_SLOTS = ['work', 'connect', 'about', 'community'];
+
+// Search configuration (scoring lives in search-match.js)
+const MAX_SEARCH_RESULTS = 4;       // Dropdown rows and corner boxes
+const SEARCH_FIELD_WEIGHTS = {
+  name: 1,
+  alias: 0.95,                      // "NYC" ranks just under a real name match
+  region: 0.7                       // State names list every city in the state
 };
 
-const originalCitiesPage1 = ['CHICAGO', 'NEW YORK', 'PORTLAND', 'LOS ANGELES'];
-const originalCitiesPage2 = ['MIAMI', 'AUSTIN', 'SEATTLE', 'SAN FRANCISCO'];
+// City data (filled from the catalog on load)
+let cityCatalog = [];
+let citiesById = {};
+let cityPages = [];
+let textStyleClasses = [];
 
 // DOM elements
 const searchInput = document.getElementById('citySearch');
@@ -35,24 +32,143 @@ function getCurrentPageBoxes() {
 
 let currentFocus = -1;
 let currentPage = 1;
+let scrollAccumulator = 0;
+let selectedCityId = '';
+let pageTransitioning = false;
+let queuedPageChange = null;        // Latest goToPage call made during a transition
 
 // Initialize application
-document.addEventListener('DOMContentLoaded', function() {
-  applyBlackTextToPortlandSeattle();
+document.addEventListener('DOMContentLoaded', async function() {
+  try {
+    await loadCityCatalog();
+  } catch (error) {
+    console.error('City catalog failed to load:', error);
+    return;
+  }
+
+  buildCityPages();
+  applyCityTextStyles();
   addCityClickListeners();
   setupVideoHover();
   setupSearch();
   setupPageNavigation();
+  setupUrlState();
 });
 
-// Apply black text to Portland and Seattle
-function applyBlackTextToPortlandSeattle() {
+// Load the city catalog and index it by id and page
+async function loadCityCatalog() {
+  cityCatalog = await fetchCityCatalog();
+
+  citiesById = {};
+  cityCatalog.forEach(city => {
+    citiesById[city.id] = city;
+  });
+  cityPages = paginateCities(cityCatalog);
+
+  textStyleClasses = [...new Set(cityCatalog
+    .filter(city => city.textStyle !== 'default')
+    .map(city => `${city.textStyle}-text`))];
+}
+
+// Group cities into four-box pages
+// Cities with a page and slot keep their placement; the rest fill the next free slots
+// A city asking for a slot that's already taken warns and moves to the next free slot instead
+function paginateCities(catalog) {
+  const placed = catalog.filter(city => city.page && BOX_SLOTS.includes(city.slot));
+  const unplaced = catalog.filter(city => !placed.includes(city));
+  const displaced = [];
+
+  // Catalog page numbers may have gaps, so number pages by their order
+  const pageNumbers = [...new Set(placed.map(city => city.page))].sort((a, b) => a - b);
+  const pages = pageNumbers.map(pageNumber => {
+    const page = [];
+    placed
+      .filter(city => city.page === pageNumber)
+      .forEach(city => {
+        const index = BOX_SLOTS.indexOf(city.slot);
+        if (page[index]) {
+          console.warn(`City "${city.id}" wants page ${city.page} ${city.slot}, already taken by "${page[index].id}" - moving it to the next free slot`);
+          displaced.push(city);
+          return;
+        }
+        page[index] = city;
+      });
+    return page;
+  });
+
+  [...displaced, ...unplaced].forEach(city => {
+    let page = pages.find(candidate => candidate.filter(Boolean).length < BOX_SLOTS.length);
+    if (!page) {
+      page = [];
+      pages.push(page);
+    }
+    const freeIndex = BOX_SLOTS.findIndex((slot, index) => !page[index]);
+    page[freeIndex] = city;
+  });
+
+  return pages;
+}
+
+// Cities shown on a page when no search is active, in box slot order
+function getPageCities(page) {
+  return cityPages[page - 1] || [];
+}
+
+// Build one page section per catalog page
+function buildCityPages() {
+  const pageContainer = document.getElementById('cityPages');
+  pageContainer.innerHTML = '';
+
+  cityPages.forEach((cities, index) => {
+    const pageNumber = index + 1;
+    const page = document.createElement('div');
+    page.className = index === 0 ? 'page-section active' : 'page-section';
+    page.id = `page${pageNumber}`;
+
+    const container = document.createElement('div');
+    container.className = 'container';
+
+    BOX_SLOTS.forEach(slot => {
+      const box = document.createElement('div');
+      box.className = `box ${slot}`;
+      container.appendChild(box);
+    });
+
+    const center = document.createElement('div');
+    center.className = 'center';
+    center.innerHTML = `
+      <video class="center-video" muted preload="auto" loop>
+        <source src="homara-video.mp4" type="video/mp4">
+      </video>
+      <span class="center-text">HOMARA</span>
+    `;
+    container.appendChild(center);
+
+    page.appendChild(container);
+    pageContainer.appendChild(page);
+
+    fillBoxes(container.querySelectorAll('.box'), getPageCities(pageNumber));
+  });
+}
+
+// Write cities into a set of boxes (one city per box, in slot order)
+function fillBoxes(boxes, cityList) {
+  boxes.forEach((box, index) => {
+    const city = cityList[index];
+    box.textContent = city ? city.label : '';
+    box.dataset.cityId = city ? city.id : '';
+    box.style.backgroundColor = 'white';
+  });
+}
+
+// Apply each city's catalog text style to the box showing it
+function applyCityTextStyles() {
   const allBoxes = document.querySelectorAll('.box');
   allBoxes.forEach(box => {
-    if (box.textContent === 'PORTLAND' || box.textContent === 'SEATTLE') {
-      box.classList.add('black-text');
-    } else {
-      box.classList.remove('black-text');
+    const city = citiesById[box.dataset.cityId];
+    box.classList.remove(...textStyleClasses);
+    if (city && city.textStyle !== 'default') {
+      box.classList.add(`${city.textStyle}-text`);
     }
   });
 }
@@ -69,10 +185,9 @@ function addCityClickListeners() {
   const refreshedBoxes = document.querySelectorAll('.box');
   refreshedBoxes.forEach(box => {
     box.addEventListener('click', function() {
-      const cityName = this.textContent.trim();
-      const website = cityWebsites[cityName];
-      if (website) {
-        window.open(website, '_blank');
+      const city = citiesById[this.dataset.cityId];
+      if (city && city.website) {
+        window.open(city.website, '_blank');
       }
     });
   });
@@ -105,19 +220,11 @@ function setupVideoHover() {
 function updateCornerBoxes(matches) {
   const { workBox, connectBox, aboutBox, communityBox } = getCurrentPageBoxes();
   const boxes = [workBox, connectBox, aboutBox, communityBox];
-  const currentOriginals = currentPage === 1 ? originalCitiesPage1 : originalCitiesPage2;
+  const currentOriginals = getPageCities(currentPage);
 
-  boxes.forEach((box, index) => {
-    if (matches[index]) {
-      box.textContent = matches[index].toUpperCase();
-      box.style.backgroundColor = 'white';
-    } else {
-      box.textContent = currentOriginals[index];
-      box.style.backgroundColor = 'white';
-    }
-  });
+  fillBoxes(boxes, boxes.map((box, index) => matches[index] || currentOriginals[index]));
 
-  applyBlackTextToPortlandSeattle();
+  applyCityTextStyles();
   addCityClickListeners();
 }
 
@@ -125,57 +232,74 @@ function updateCornerBoxes(matches) {
 function resetToOriginalCities() {
   const { workBox, connectBox, aboutBox, communityBox } = getCurrentPageBoxes();
   const boxes = [workBox, connectBox, aboutBox, communityBox];
-  const currentOriginals = currentPage === 1 ? originalCitiesPage1 : originalCitiesPage2;
 
-  boxes.forEach((box, index) => {
-    box.textContent = currentOriginals[index];
-    box.style.backgroundColor = 'white';
-  });
+  fillBoxes(boxes, getPageCities(currentPage));
 
-  applyBlackTextToPortlandSeattle();
+  applyCityTextStyles();
   addCityClickListeners();
 }
 
+// Rank catalog cities against a search value (best match first)
+// Each city is scored on its name, aliases and region; the best field wins
+function searchCities(value) {
+  const query = normalizeSearchQuery(value);
+  if (!query) return [];
+
+  const results = [];
+  cityCatalog.forEach((city, order) => {
+    const fields = [
+      { field: 'name', text: city.name },
+      ...city.aliases.map(alias => ({ field: 'alias', text: alias })),
+      { field: 'region', text: city.region }
+    ];
+
+    let best = null;
+    fields.forEach(({ field, text }) => {
+      const match = matchSearchText(query, text);
+      if (!match) return;
+
+      const score = match.score * SEARCH_FIELD_WEIGHTS[field];
+      if (!best || score > best.score) {
+        best = { city, field, text, indices: match.indices, score, order };
+      }
+    });
+
+    if (best) results.push(best);
+  });
+
+  return results.sort((a, b) => b.score - a.score || a.order - b.order);
+}
+
+// Dropdown row: city name, plus the alias or region that matched
+function createResultItem(result) {
+  const item = document.createElement('div');
+  item.className = 'autocomplete-item';
+
+  if (result.field === 'name') {
+    appendHighlightedText(item, result.city.name, result.indices);
+  } else {
+    item.appendChild(document.createTextNode(result.city.name));
+    const hint = document.createElement('span');
+    hint.className = 'autocomplete-hint';
+    appendHighlightedText(hint, result.text, result.indices);
+    item.appendChild(hint);
+  }
+
+  return item;
+}
+
 // Setup search functionality
 function setupSearch() {
   searchInput.addEventListener('input', function() {
-    const value = this.value.toLowerCase();
-    dropdown.innerHTML = '';
-    currentFocus = -1;
-
-    if (!value) {
-      dropdown.style.display = 'none';
-      resetToOriginalCities();
-      return;
-    }
-
-    const matches = cities.filter(city =>
-      city.toLowerCase().includes(value)
-    );
+    selectedCityId = '';
+    renderSearch(this.value);
+    writeUrlState('replace');
+  });
 
-    if (matches.length > 0) {
+  // Results restored from the URL wait here until the user comes to the search bar
+  searchInput.addEventListener('focus', function() {
+    if (dropdown.children.length > 0) {
       dropdown.style.display = 'block';
-      matches.forEach((match) => {
-        const item = document.createElement('div');
-        item.className = 'autocomplete-item';
-        item.textContent = match;
-        item.addEventListener('click', function() {
-          searchInput.value = match;
-          dropdown.style.display = 'none';
-
-          const searchMatches = cities.filter(city =>
-            city.toLowerCase().includes(match.toLowerCase())
-          ).slice(0, 4);
-          updateCornerBoxes(searchMatches);
-        });
-        dropdown.appendChild(item);
-      });
-
-      const cornerMatches = matches.slice(0, 4);
-      updateCornerBoxes(cornerMatches);
-    } else {
-      dropdown.style.display = 'none';
-      resetToOriginalCities();
     }
   });
 
@@ -213,6 +337,50 @@ function setupSearch() {
   });
 }
 
+// Show ranked results in the dropdown and the corner boxes
+// openDropdown: false fills the dropdown without showing it (it opens when the search bar gets focus)
+function renderSearch(value, { openDropdown = true } = {}) {
+  dropdown.innerHTML = '';
+  currentFocus = -1;
+
+  if (!value.trim()) {
+    dropdown.style.display = 'none';
+    resetToOriginalCities();
+    return;
+  }
+
+  const results = searchCities(value).slice(0, MAX_SEARCH_RESULTS);
+
+  if (results.length > 0) {
+    dropdown.style.display = openDropdown ? 'block' : 'none';
+    results.forEach((result) => {
+      const item = createResultItem(result);
+      item.addEventListener('click', function() {
+        selectCity(result.city);
+        writeUrlState('push');
+      });
+      dropdown.appendChild(item);
+    });
+
+    updateCornerBoxes(results.map(result => result.city));
+  } else {
+    dropdown.style.display = 'none';
+    resetToOriginalCities();
+  }
+}
+
+// Pick a city from the dropdown
+function selectCity(city) {
+  selectedCityId = city.id;
+  searchInput.value = city.name;
+  dropdown.innerHTML = '';
+  dropdown.style.display = 'none';
+  currentFocus = -1;
+
+  const searchMatches = searchCities(city.name).slice(0, MAX_SEARCH_RESULTS);
+  updateCornerBoxes(searchMatches.map(searchMatch => searchMatch.city));
+}
+
 function setActive(items) {
   items.forEach((item, index) => {
     item.classList.toggle('highlighted', index === currentFocus);
@@ -223,106 +391,195 @@ function setActive(items) {
 function setupPageNavigation() {
   const scrollArrow = document.getElementById('scrollArrow');
   const scrollArrowUp = document.getElementById('scrollArrowUp');
-  const page1 = document.getElementById('page1');
-  const page2 = document.getElementById('page2');
-  let scrollAccumulator = 0;
+
+  buildPageIndicator();
 
   // Detect scroll attempts to show arrows
+  // Positive accumulator = scrolling toward the next page, negative = previous
   window.addEventListener('wheel', function(e) {
     e.preventDefault();
 
-    if (currentPage === 1) {
-      if (e.deltaY > 0) {
-        scrollAccumulator += Math.abs(e.deltaY);
-        if (scrollAccumulator > 300) {
-          scrollArrow.classList.add('visible');
-        }
-      } else {
-        scrollAccumulator = Math.max(0, scrollAccumulator - Math.abs(e.deltaY));
-        if (scrollAccumulator <= 100) {
-          scrollArrow.classList.remove('visible');
-        }
-      }
-    } else if (currentPage === 2) {
-      if (e.deltaY < 0) {
-        scrollAccumulator += Math.abs(e.deltaY);
-        if (scrollAccumulator > 300) {
-          scrollArrowUp.classList.add('visible');
-        }
-      } else {
-        scrollAccumulator = Math.max(0, scrollAccumulator - Math.abs(e.deltaY));
-        if (scrollAccumulator <= 100) {
-          scrollArrowUp.classList.remove('visible');
-        }
-      }
+    const minAccumulator = currentPage > 1 ? -Infinity : 0;
+    const maxAccumulator = currentPage < getPageCount() ? Infinity : 0;
+    scrollAccumulator = Math.min(maxAccumulator, Math.max(minAccumulator, scrollAccumulator + e.deltaY));
+
+    if (scrollAccumulator > 300) {
+      scrollArrow.classList.add('visible');
+    } else if (scrollAccumulator <= 100) {
+      scrollArrow.classList.remove('visible');
+    }
+
+    if (scrollAccumulator < -300) {
+      scrollArrowUp.classList.add('visible');
+    } else if (scrollAccumulator >= -100) {
+      scrollArrowUp.classList.remove('visible');
     }
   }, { passive: false });
 
-  // Navigate to page 2
+  // Navigate to next page
   scrollArrow.addEventListener('click', function() {
-    if (currentPage === 1) {
-      page1.classList.add('transitioning');
-      page2.classList.add('transitioning');
-
-      setTimeout(() => {
-        page1.classList.add('hidden');
-        page2.classList.add('active');
-        scrollArrow.classList.remove('visible');
-        scrollAccumulator = 0;
-        currentPage = 2;
-
-        updatePageContent();
-      }, 50);
-
-      setTimeout(() => {
-        page1.classList.remove('transitioning');
-        page2.classList.remove('transitioning');
-      }, 800);
-    }
+    goToPage(currentPage + 1);
   });
 
-  // Navigate to page 1
+  // Navigate to previous page
   scrollArrowUp.addEventListener('click', function() {
-    if (currentPage === 2) {
-      page1.classList.add('transitioning');
-      page2.classList.add('transitioning');
-
-      setTimeout(() => {
-        page1.classList.remove('hidden');
-        page2.classList.remove('active');
-        scrollArrowUp.classList.remove('visible');
-        scrollAccumulator = 0;
-        currentPage = 1;
-
-        updatePageContent();
-      }, 50);
-
-      setTimeout(() => {
-        page1.classList.remove('transitioning');
-        page2.classList.remove('transitioning');
-      }, 800);
-    }
+    goToPage(currentPage - 1);
   });
 
   // ESC key navigation
   document.addEventListener('keydown', function(e) {
-    if (e.key === 'Escape' && currentPage === 2) {
+    if (e.key === 'Escape' && currentPage > 1) {
       scrollArrowUp.click();
     }
   });
 }
 
+function getPageCount() {
+  return cityPages.length;
+}
+
+// Slide to any page: earlier pages move up, later pages wait below
+// Pass { updateHistory: false } when the page change comes from the URL itself
+// Calls during a slide wait for it to finish (only the latest one runs), so they see the real currentPage
+function goToPage(pageNumber, options = {}) {
+  if (pageTransitioning) {
+    queuedPageChange = { pageNumber, options };
+    return;
+  }
+
+  const { updateHistory = true } = options;
+  if (pageNumber < 1 || pageNumber > getPageCount() || pageNumber === currentPage) return;
+
+  const pages = document.querySelectorAll('#cityPages .page-section');
+  pageTransitioning = true;
+  pages.forEach(page => page.classList.add('transitioning'));
+
+  setTimeout(() => {
+    pages.forEach((page, index) => {
+      page.classList.toggle('hidden', index + 1 < pageNumber);
+      page.classList.toggle('active', index + 1 === pageNumber);
+    });
+    document.getElementById('scrollArrow').classList.remove('visible');
+    document.getElementById('scrollArrowUp').classList.remove('visible');
+    scrollAccumulator = 0;
+    currentPage = pageNumber;
+
+    updatePageContent();
+    updatePageIndicator();
+    if (updateHistory) {
+      writeUrlState('push');
+    }
+  }, 50);
+
+  setTimeout(() => {
+    pages.forEach(page => page.classList.remove('transitioning'));
+    pageTransitioning = false;
+
+    if (queuedPageChange) {
+      const { pageNumber: queuedPage, options: queuedOptions } = queuedPageChange;
+      queuedPageChange = null;
+      goToPage(queuedPage, queuedOptions);
+    }
+  }, 800);
+}
+
+// Build one dot per page (hidden when there is only one page)
+function buildPageIndicator() {
+  const indicator = document.getElementById('pageIndicator');
+  indicator.innerHTML = '';
+  indicator.classList.toggle('visible', getPageCount() > 1);
+
+  for (let pageNumber = 1; pageNumber <= getPageCount(); pageNumber++) {
+    const dot = document.createElement('button');
+    dot.type = 'button';
+    dot.className = 'page-dot';
+    dot.setAttribute('aria-label', `Page ${pageNumber} of ${getPageCount()}`);
+    dot.addEventListener('click', function() {
+      goToPage(pageNumber);
+    });
+    indicator.appendChild(dot);
+  }
+
+  updatePageIndicator();
+}
+
+function updatePageIndicator() {
+  const dots = document.querySelectorAll('#pageIndicator .page-dot');
+  dots.forEach((dot, index) => {
+    dot.classList.toggle('current', index + 1 === currentPage);
+  });
+}
+
 function updatePageContent() {
   if (searchInput.value) {
-    const value = searchInput.value.toLowerCase();
-    const matches = cities.filter(city =>
-      city.toLowerCase().includes(value)
-    ).slice(0, 4);
-    updateCornerBoxes(matches);
+    const results = searchCities(searchInput.value).slice(0, MAX_SEARCH_RESULTS);
+    updateCornerBoxes(results.map(result => result.city));
   } else {
     resetToOriginalCities();
   }
 
-  applyBlackTextToPortlandSeattle();
+  applyCityTextStyles();
   addCityClickListeners();
 }
+
+// Setup URL state (?q=<search text>&city=<city id>&page=<page number>)
+// Typing replaces the current history entry; picking a city or changing page pushes a new one
+function setupUrlState() {
+  applyUrlState(readUrlState());
+
+  // Back/forward restore the search and slide pages like the arrows do
+  window.addEventListener('popstate', function() {
+    applyUrlState(readUrlState());
+  });
+}
+
+function readUrlState() {
+  const params = new URLSearchParams(window.location.search);
+  return {
+    query: params.get('q') || '',
+    cityId: params.get('city') || '',
+    page: parseInt(params.get('page'), 10) || 1
+  };
+}
+
+function writeUrlState(mode) {
+  const params = new URLSearchParams(window.location.search);
+  const state = {
+    q: searchInput.value,
+    city: selectedCityId,
+    page: currentPage > 1 ? String(currentPage) : ''
+  };
+
+  Object.entries(state).forEach(([key, value]) => {
+    if (value) {
+      params.set(key, value);
+    } else {
+      params.delete(key);
+    }
+  });
+
+  const query = params.toString();
+  const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+  if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) return;
+
+  if (mode === 'push') {
+    history.pushState(null, '', url);
+  } else {
+    history.replaceState(null, '', url);
+  }
+}
+
+function applyUrlState({ query, cityId, page }) {
+  const city = citiesById[cityId];
+
+  if (city) {
+    selectCity(city);
+  } else {
+    selectedCityId = '';
+    searchInput.value = query;
+    renderSearch(query, { openDropdown: document.activeElement === searchInput });
+  }
+
+  const targetPage = Math.min(Math.max(page, 1), getPageCount());
+  goToPage(targetPage, { updateHistory: false });
+}
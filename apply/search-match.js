@@ -0,0 +1,149 @@
+// Shared text matching for the Apply city search and the app shell search
+// matchSearchText(query, text) -> { score, indices } or null
+
+const SEARCH_SCORES = {
+  exact: 100,
+  prefix: 90,
+  wordPrefix: 80,                   // "york" -> New York
+  contains: 60,
+  typo: 50,
+  typoPenalty: 10                   // Subtracted per edit
+};
+
+// Lowercase, trim and collapse whitespace so queries compare the same way everywhere
+function normalizeSearchQuery(value) {
+  return value.toLowerCase().trim().replace(/\s+/g, ' ');
+}
+
+// Score one piece of text: exact > prefix > word prefix > substring > typo (missing text never matches)
+function matchSearchText(query, text) {
+  if (!text) return null;
+  const normalized = text.toLowerCase();
+
+  if (normalized === query) {
+    return { score: SEARCH_SCORES.exact, indices: indexRange(0, text.length) };
+  }
+  if (normalized.startsWith(query)) {
+    return { score: SEARCH_SCORES.prefix, indices: indexRange(0, query.length) };
+  }
+
+  const wordStart = findWordPrefix(normalized, query);
+  if (wordStart > 0) {
+    return { score: SEARCH_SCORES.wordPrefix, indices: indexRange(wordStart, wordStart + query.length) };
+  }
+
+  const containsAt = normalized.indexOf(query);
+  if (containsAt >= 0) {
+    return { score: SEARCH_SCORES.contains, indices: indexRange(containsAt, containsAt + query.length) };
+  }
+
+  // Typos: compare against the whole text and against its first query.length characters
+  // so "Seatle" and a half-typed "Saettl" both reach Seattle
+  const maxTypos = getMaxTypos(query.length);
+  if (maxTypos > 0) {
+    const distance = Math.min(
+      editDistance(query, normalized),
+      editDistance(query, normalized.slice(0, query.length))
+    );
+    if (distance <= maxTypos) {
+      return {
+        score: SEARCH_SCORES.typo - distance * SEARCH_SCORES.typoPenalty,
+        indices: subsequenceIndices(query, normalized)
+      };
+    }
+  }
+
+  return null;
+}
+
+// Short queries get no typo tolerance: "mi" would match everything, and one edit against
+// a short name or prefix turns "berl" into Bern and "pari" into Parma
+function getMaxTypos(length) {
+  if (length < 5) return 0;
+  if (length < 6) return 1;
+  return 2;
+}
+
+// Index of the first word (after a space or hyphen) that starts with the query
+function findWordPrefix(text, query) {
+  for (let i = 1; i < text.length; i++) {
+    if ((text[i - 1] === ' ' || text[i - 1] === '-') && text.startsWith(query, i)) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+function editDistance(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const d = Array.from({ length: rows }, () => new Array(cols).fill(0));
+
+  for (let i = 0; i < rows; i++) d[i][0] = i;
+  for (let j = 0; j < cols; j++) d[0][j] = j;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(
+        d[i - 1][j] + 1,
+        d[i][j - 1] + 1,
+        d[i - 1][j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return d[rows - 1][cols - 1];
+}
+
+function indexRange(start, end) {
+  const indices = [];
+  for (let i = start; i < end; i++) indices.push(i);
+  return indices;
+}
+
+// Characters of text that line up with the query in order (used to highlight typo matches)
+function subsequenceIndices(query, text) {
+  const indices = [];
+  let position = 0;
+  for (const char of query) {
+    const found = text.indexOf(char, position);
+    if (found === -1) continue;
+    indices.push(found);
+    position = found + 1;
+  }
+  return indices;
+}
+
+// Append text to an element, wrapping highlighted characters in <mark>
+function appendHighlightedText(parent, text, indices) {
+  const highlighted = new Set(indices);
+  let run = '';
+  let runHighlighted = false;
+
+  const flush = () => {
+    if (!run) return;
+    if (runHighlighted) {
+      const mark = document.createElement('mark');
+      mark.textContent = run;
+      parent.appendChild(mark);
+    } else {
+      parent.appendChild(document.createTextNode(run));
+    }
+    run = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const isHighlighted = highlighted.has(i);
+    if (isHighlighted !== runHighlighted) {
+      flush();
+      runHighlighted = isHighlighted;
+    }
+    run += text[i];
+  }
+  flush();
+}
@@ -0,0 +1,77 @@
+// Splash screen sequence for the app shell
+// Stays up until the app assets are ready (or the max duration runs out), whichever is first,
+// can be skipped with a click or key press, and only plays once per browser session
+
+const SPLASH_CONFIG = {
+  duration: 3500,               // Longest the splash stays up (ms)
+  minDuration: 1500,            // Shortest, so the intro doesn't flash when assets are cached
+  fadeDuration: 500,            // Fade-out length (ms) - matches .fade-out in style.css
+  oncePerSession: true,         // Returning in the same session goes straight past the splash
+  sessionKey: 'homara.splashSeen'
+};
+
+class SplashScreen {
+  constructor(element, config = {}) {
+    this.element = element;
+    this.config = { ...SPLASH_CONFIG, ...config };
+    this.reducedMotion = window.matchMedia &&
+      window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  }
+
+  // Resolves once the splash is hidden
+  // assetsReady: promise that settles when the app has finished preloading
+  async run({ assetsReady = Promise.resolve() } = {}) {
+    if (this.config.oncePerSession && sessionStorage.getItem(this.config.sessionKey)) {
+      this.hide();
+      return;
+    }
+
+    if (this.reducedMotion) {
+      this.element.classList.add('reduced-motion');
+    }
+
+    // Reduced motion: no minimum hold and no fade, just wait for the assets
+    const minDuration = this.reducedMotion ? 0 : this.config.minDuration;
+    const fadeDuration = this.reducedMotion ? 0 : this.config.fadeDuration;
+
+    const ready = Promise.all([
+      Promise.resolve(assetsReady).catch(error => {
+        console.warn('Asset preload failed, continuing:', error);
+      }),
+      this.wait(minDuration)
+    ]);
+
+    await Promise.race([ready, this.wait(this.config.duration), this.waitForSkip()]);
+    this.stopListeningForSkip();
+
+    sessionStorage.setItem(this.config.sessionKey, '1');
+
+    if (fadeDuration > 0) {
+      this.element.style.animationDuration = `${fadeDuration}ms`;
+      this.element.classList.add('fade-out');
+      await this.wait(fadeDuration);
+    }
+    this.hide();
+  }
+
+  waitForSkip() {
+    return new Promise(resolve => {
+      this.skipHandler = () => resolve();
+      this.element.addEventListener('click', this.skipHandler);
+      document.addEventListener('keydown', this.skipHandler);
+    });
+  }
+
+  stopListeningForSkip() {
+    this.element.removeEventListener('click', this.skipHandler);
+    document.removeEventListener('keydown', this.skipHandler);
+  }
+
+  hide() {
+    this.element.style.display = 'none';
+  }
+
+  wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
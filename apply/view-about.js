@@ -0,0 +1,5 @@
+// About view (lazy loaded by the router)
+
+export function render(outlet) {
+  outlet.innerText = "Learn more about our mission here.";
+}
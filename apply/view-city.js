@@ -0,0 +1,33 @@
+// City view (lazy loaded by the router) - /city/:id from the Apply city catalog
+// fetchCityCatalog comes from city-catalog.js (loaded by the page before main.js)
+
+export async function render(outlet, params, { isCurrent = () => true } = {}) {
+  let cities;
+  try {
+    cities = await fetchCityCatalog();
+  } catch (error) {
+    console.error("City catalog failed to load:", error);
+    if (isCurrent()) outlet.innerText = "Cities are unavailable right now.";
+    return;
+  }
+
+  // The visitor moved on while the catalog was loading
+  if (!isCurrent()) return;
+
+  const city = cities.find(entry => entry.id === params.id);
+  if (!city) {
+    outlet.innerText = "We're not in that city yet.";
+    return;
+  }
+
+  const heading = document.createElement("h2");
+  heading.textContent = city.name;
+  const region = document.createElement("p");
+  region.textContent = city.region;
+  const website = document.createElement("a");
+  website.href = city.website;
+  website.target = "_blank";
+  website.rel = "noopener";
+  website.textContent = "City website";
+  outlet.append(heading, region, website);
+}
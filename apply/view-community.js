@@ -0,0 +1,61 @@
+// Community view (lazy loaded by the router)
+// /community lists every community, /community/:id shows one
+
+const COMMUNITIES_URL = "communities.json";
+
+export async function loadCommunities() {
+  const response = await fetch(COMMUNITIES_URL);
+  if (!response.ok) {
+    throw new Error(`Could not load ${COMMUNITIES_URL} (${response.status})`);
+  }
+  const data = await response.json();
+  return data.communities;
+}
+
+export async function render(outlet, params = {}, { isCurrent = () => true } = {}) {
+  if (!isCurrent()) return;
+  outlet.innerText = "Explore the Community section!";
+
+  let communities;
+  try {
+    communities = await loadCommunities();
+  } catch (error) {
+    console.error("Community list failed to load:", error);
+    return;
+  }
+
+  // The visitor moved on while the list was loading
+  if (!isCurrent()) return;
+  outlet.innerHTML = "";
+
+  if (params.id) {
+    const community = communities.find(entry => entry.id === params.id);
+    if (!community) {
+      outlet.innerText = "That community doesn't exist (yet).";
+      return;
+    }
+
+    const heading = document.createElement("h2");
+    heading.textContent = community.name;
+    const description = document.createElement("p");
+    description.textContent = community.description;
+    const cityLink = document.createElement("a");
+    cityLink.href = `#/city/${community.city}`;
+    cityLink.dataset.route = `/city/${community.city}`;
+    cityLink.textContent = "View city";
+    outlet.append(heading, description, cityLink);
+    return;
+  }
+
+  const list = document.createElement("ul");
+  communities.forEach(community => {
+    const item = document.createElement("li");
+    const link = document.createElement("a");
+    link.href = `#/community/${community.id}`;
+    link.dataset.route = `/community/${community.id}`;
+    link.textContent = community.name;
+    item.appendChild(link);
+    list.appendChild(item);
+  });
+  outlet.appendChild(list);
+}
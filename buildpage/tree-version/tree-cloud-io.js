@@ -0,0 +1,507 @@
+// TREE PAGE: Point Cloud Files
+// Saves generated clouds and reads them back, so a figure can ship a precomputed `cloud`
+// (see tree-figures.js) and skip generation at startup.
+// Also reads external point clouds (PLY, XYZ, PCD) for figures built from `points`.
+// No DOM in here, so tree-worker.js can parse files off the main thread.
+//
+// Cloud data is the generator's packed format (see generateFigure in tree-generator.js):
+//   { count, positions: Float32Array(count * 3), growthOrder: Float32Array(count), sapling: Uint8Array(count),
+//     colors: Float32Array(count * 3) 0-1 RGB, or null }
+// Positions are final display positions (displayScale already applied).
+//
+// Two formats:
+//   PLY  - binary little-endian, opens in MeshLab / CloudCompare / Blender
+//          (extra vertex properties: growth_order float, sapling uchar; red/green/blue uchar when colored)
+//   JSON - { format: 'homara-cloud', version, figure, seed, count, positions, growthOrder, sapling, colors }
+//          with each array as base64 of its little-endian bytes
+
+const JSON_FORMAT = 'homara-cloud';
+const JSON_VERSION = 1;
+
+// Byte size and DataView reader for every PLY scalar type
+const PLY_TYPES = {
+  char: [1, 'getInt8'], int8: [1, 'getInt8'],
+  uchar: [1, 'getUint8'], uint8: [1, 'getUint8'],
+  short: [2, 'getInt16'], int16: [2, 'getInt16'],
+  ushort: [2, 'getUint16'], uint16: [2, 'getUint16'],
+  int: [4, 'getInt32'], int32: [4, 'getInt32'],
+  uint: [4, 'getUint32'], uint32: [4, 'getUint32'],
+  float: [4, 'getFloat32'], float32: [4, 'getFloat32'],
+  double: [8, 'getFloat64'], float64: [8, 'getFloat64']
+};
+
+// ===== PLY =====
+// meta: { figure, seed } written as header comments
+export function encodePLY(cloud, meta = {}) {
+  const hasColors = Boolean(cloud.colors);
+  const header = [
+    'ply',
+    'format binary_little_endian 1.0',
+    `comment Homara point cloud${meta.figure ? ` - figure ${meta.figure}` : ''}${meta.seed !== undefined ? `, seed ${meta.seed}` : ''}`,
+    `element vertex ${cloud.count}`,
+    'property float x',
+    'property float y',
+    'property float z',
+    'property float growth_order',
+    'property uchar sapling',
+    ...(hasColors ? ['property uchar red', 'property uchar green', 'property uchar blue'] : []),
+    'end_header',
+    ''
+  ].join('\n');
+
+  const headerBytes = new TextEncoder().encode(header);
+  const stride = 4 * 4 + 1 + (hasColors ? 3 : 0);
+  const bytes = new Uint8Array(headerBytes.length + cloud.count * stride);
+  bytes.set(headerBytes);
+
+  const view = new DataView(bytes.buffer, headerBytes.length);
+  for (let i = 0; i < cloud.count; i++) {
+    const offset = i * stride;
+    view.setFloat32(offset, cloud.positions[i * 3], true);
+    view.setFloat32(offset + 4, cloud.positions[i * 3 + 1], true);
+    view.setFloat32(offset + 8, cloud.positions[i * 3 + 2], true);
+    view.setFloat32(offset + 12, cloud.growthOrder[i], true);
+    view.setUint8(offset + 16, cloud.sapling[i]);
+    if (hasColors) {
+      view.setUint8(offset + 17, Math.round(cloud.colors[i * 3] * 255));
+      view.setUint8(offset + 18, Math.round(cloud.colors[i * 3 + 1] * 255));
+      view.setUint8(offset + 19, Math.round(cloud.colors[i * 3 + 2] * 255));
+    }
+  }
+
+  return bytes;
+}
+
+// Reads the vertex element of an ascii or binary PLY into one Float32Array per property
+// Returns { count, properties: { x, y, z, ... }, types: { x: 'float', ... }, comments }
+export function parsePLY(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const headerEnd = findHeaderEnd(bytes);
+  const headerLines = new TextDecoder().decode(bytes.subarray(0, headerEnd)).split(/\r?\n/);
+
+  if (headerLines[0].trim() !== 'ply') {
+    throw new Error('Not a PLY file');
+  }
+
+  let format = null;
+  const comments = [];
+  const elements = [];
+
+  headerLines.forEach(line => {
+    const parts = line.trim().split(/\s+/);
+    if (parts[0] === 'format') {
+      format = parts[1];
+    } else if (parts[0] === 'comment') {
+      comments.push(line.trim().slice('comment'.length).trim());
+    } else if (parts[0] === 'element') {
+      elements.push({ name: parts[1], count: parseInt(parts[2], 10), properties: [] });
+    } else if (parts[0] === 'property' && elements.length > 0) {
+      if (parts[1] === 'list') {
+        elements[elements.length - 1].properties.push({ name: parts[4], list: true });
+      } else {
+        if (!PLY_TYPES[parts[1]]) throw new Error(`Unsupported PLY property type "${parts[1]}"`);
+        elements[elements.length - 1].properties.push({ name: parts[2], type: parts[1] });
+      }
+    }
+  });
+
+  const vertexIndex = elements.findIndex(element => element.name === 'vertex');
+  if (vertexIndex === -1) {
+    throw new Error('PLY file has no vertex element');
+  }
+  const vertex = elements[vertexIndex];
+  if (vertex.properties.some(property => property.list)) {
+    throw new Error('PLY vertex lists are not supported');
+  }
+
+  const properties = {};
+  const types = {};
+  vertex.properties.forEach(property => {
+    properties[property.name] = new Float32Array(vertex.count);
+    types[property.name] = property.type;
+  });
+
+  const bodyStart = headerEnd + headerTerminatorLength(bytes, headerEnd);
+
+  if (format === 'ascii') {
+    // Skip the lines of any elements declared before the vertices
+    const skipLines = elements.slice(0, vertexIndex).reduce((sum, element) => sum + element.count, 0);
+    const lines = new TextDecoder().decode(bytes.subarray(bodyStart)).split(/\r?\n/);
+    for (let i = 0; i < vertex.count; i++) {
+      const values = lines[skipLines + i].trim().split(/\s+/);
+      vertex.properties.forEach((property, p) => {
+        properties[property.name][i] = parseFloat(values[p]);
+      });
+    }
+  } else if (format === 'binary_little_endian' || format === 'binary_big_endian') {
+    const littleEndian = format === 'binary_little_endian';
+    const view = new DataView(bytes.buffer, bytes.byteOffset);
+
+    let offset = bodyStart;
+    elements.slice(0, vertexIndex).forEach(element => {
+      if (element.properties.some(property => property.list)) {
+        throw new Error(`Can't skip PLY element "${element.name}" (has list properties) before the vertices`);
+      }
+      offset += element.count * element.properties.reduce((sum, property) => sum + PLY_TYPES[property.type][0], 0);
+    });
+
+    for (let i = 0; i < vertex.count; i++) {
+      vertex.properties.forEach(property => {
+        const [size, reader] = PLY_TYPES[property.type];
+        properties[property.name][i] = view[reader](offset, littleEndian);
+        offset += size;
+      });
+    }
+  } else {
+    throw new Error(`Unsupported PLY format "${format}"`);
+  }
+
+  return { count: vertex.count, properties, types, comments };
+}
+
+// A PLY written by encodePLY back into cloud data
+export function decodePLY(buffer) {
+  const ply = parsePLY(buffer);
+  const { count, properties } = ply;
+  ['x', 'y', 'z', 'growth_order', 'sapling'].forEach(name => {
+    if (!properties[name]) throw new Error(`PLY cloud is missing the "${name}" property`);
+  });
+
+  const positions = new Float32Array(count * 3);
+  const sapling = new Uint8Array(count);
+  for (let i = 0; i < count; i++) {
+    positions[i * 3] = properties.x[i];
+    positions[i * 3 + 1] = properties.y[i];
+    positions[i * 3 + 2] = properties.z[i];
+    sapling[i] = properties.sapling[i] > 0 ? 1 : 0;
+  }
+
+  return { count, positions, growthOrder: properties.growth_order, sapling, colors: readPLYColors(ply) };
+}
+
+// Per-vertex colors as 0-1 RGB (red/green/blue, r/g/b or diffuse_*), or null
+function readPLYColors({ count, properties, types }) {
+  const channels = [
+    ['red', 'green', 'blue'],
+    ['r', 'g', 'b'],
+    ['diffuse_red', 'diffuse_green', 'diffuse_blue']
+  ].find(names => names.every(name => properties[name]));
+  if (!channels) return null;
+
+  // Integer channels are 0-255, float channels are usually 0-1
+  const isFloat = types[channels[0]] === 'float' || types[channels[0]] === 'float32' ||
+    types[channels[0]] === 'double' || types[channels[0]] === 'float64';
+  const colors = new Float32Array(count * 3);
+  channels.forEach((name, c) => {
+    const values = properties[name];
+    for (let i = 0; i < count; i++) {
+      colors[i * 3 + c] = isFloat ? values[i] : values[i] / 255;
+    }
+  });
+  return normalizeColorRange(colors);
+}
+
+// "end_header" position in the raw bytes (the body may not be valid text)
+function findHeaderEnd(bytes) {
+  const marker = new TextEncoder().encode('end_header');
+  const limit = Math.min(bytes.length, 64 * 1024);
+  for (let i = 0; i <= limit - marker.length; i++) {
+    let match = true;
+    for (let j = 0; j < marker.length; j++) {
+      if (bytes[i + j] !== marker[j]) {
+        match = false;
+        break;
+      }
+    }
+    if (match) return i + marker.length;
+  }
+  throw new Error('PLY header has no end_header');
+}
+
+// end_header is followed by \n or \r\n
+function headerTerminatorLength(bytes, headerEnd) {
+  return bytes[headerEnd] === 0x0d && bytes[headerEnd + 1] === 0x0a ? 2 : 1;
+}
+
+// ===== JSON =====
+export function encodeCloudJSON(cloud, meta = {}) {
+  return JSON.stringify({
+    format: JSON_FORMAT,
+    version: JSON_VERSION,
+    figure: meta.figure,
+    seed: meta.seed,
+    count: cloud.count,
+    positions: toBase64(cloud.positions),
+    growthOrder: toBase64(cloud.growthOrder),
+    sapling: toBase64(cloud.sapling),
+    colors: cloud.colors ? toBase64(cloud.colors) : null
+  });
+}
+
+export function decodeCloudJSON(text) {
+  const json = typeof text === 'string' ? JSON.parse(text) : text;
+  if (json.format !== JSON_FORMAT) {
+    throw new Error(`Not a ${JSON_FORMAT} file`);
+  }
+  if (json.version > JSON_VERSION) {
+    throw new Error(`Cloud file version ${json.version} is newer than this engine supports (${JSON_VERSION})`);
+  }
+
+  const cloud = {
+    count: json.count,
+    positions: new Float32Array(fromBase64(json.positions).buffer),
+    growthOrder: new Float32Array(fromBase64(json.growthOrder).buffer),
+    sapling: fromBase64(json.sapling),
+    colors: json.colors ? new Float32Array(fromBase64(json.colors).buffer) : null
+  };
+
+  if (cloud.positions.length !== cloud.count * 3 || cloud.growthOrder.length !== cloud.count ||
+      cloud.sapling.length !== cloud.count || (cloud.colors && cloud.colors.length !== cloud.count * 3)) {
+    throw new Error('Cloud file arrays do not match its count');
+  }
+  return cloud;
+}
+
+// Typed array -> base64 of its bytes (chunked, String.fromCharCode can't take millions of args)
+function toBase64(typedArray) {
+  const bytes = new Uint8Array(typedArray.buffer, typedArray.byteOffset, typedArray.byteLength);
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+// ===== LOADING =====
+// Fetch a cloud file saved by exportCloud, PLY or JSON (sniffed from the first bytes)
+export async function fetchCloud(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${url} (${response.status})`);
+  }
+  return decodeCloud(await response.arrayBuffer());
+}
+
+export function decodeCloud(buffer) {
+  const start = new TextDecoder().decode(new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 4)));
+  if (start.startsWith('ply')) {
+    return decodePLY(buffer);
+  }
+  return decodeCloudJSON(new TextDecoder().decode(buffer));
+}
+
+// ===== EXTERNAL POINT CLOUDS =====
+// Raw points from other tools, before the generator normalizes them into a figure:
+//   { count, positions: Float32Array(count * 3) in the file's own units, colors: Float32Array(count * 3) 0-1 or null }
+// format: 'ply' | 'xyz' | 'pcd', or left out to guess from the file name and contents
+export function readPointFile(buffer, { format, fileName = '' } = {}) {
+  const extension = fileName.split(/[?#]/)[0].split('.').pop().toLowerCase();
+  const start = new TextDecoder().decode(new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 64)));
+  const detected = format ||
+    (start.startsWith('ply') ? 'ply' : null) ||
+    (/^(#.*\r?\n)*\s*(VERSION|FIELDS)\b/.test(start) || extension === 'pcd' ? 'pcd' : null) ||
+    'xyz';
+
+  if (detected === 'ply') return readPLYPoints(buffer);
+  if (detected === 'pcd') return parsePCD(buffer);
+  if (detected === 'xyz') return parseXYZ(new TextDecoder().decode(buffer));
+  throw new Error(`Unsupported point cloud format "${detected}"`);
+}
+
+function readPLYPoints(buffer) {
+  const ply = parsePLY(buffer);
+  const { count, properties } = ply;
+  if (!properties.x || !properties.y || !properties.z) {
+    throw new Error('PLY file has no x/y/z vertex properties');
+  }
+
+  const positions = new Float32Array(count * 3);
+  for (let i = 0; i < count; i++) {
+    positions[i * 3] = properties.x[i];
+    positions[i * 3 + 1] = properties.y[i];
+    positions[i * 3 + 2] = properties.z[i];
+  }
+  return { count, positions, colors: readPLYColors(ply) };
+}
+
+// XYZ / PTS / CSV-ish text: one point per line, "x y z" with optional "r g b" at the end
+// (x y z i r g b from PTS works too; a leading point-count line and # comments are skipped)
+export function parseXYZ(text) {
+  const positions = [];
+  const colors = [];
+  let colored = true;
+
+  text.split(/\r?\n/).forEach(line => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith('//')) return;
+
+    const values = trimmed.split(/[\s,;]+/).map(Number);
+    if (values.length < 3 || values.slice(0, 3).some(value => !Number.isFinite(value))) return;
+
+    positions.push(values[0], values[1], values[2]);
+    if (values.length >= 6) {
+      colors.push(values[values.length - 3], values[values.length - 2], values[values.length - 1]);
+    } else {
+      colored = false;
+    }
+  });
+
+  const count = positions.length / 3;
+  return {
+    count,
+    positions: new Float32Array(positions),
+    colors: colored && count > 0 ? normalizeColorRange(new Float32Array(colors)) : null
+  };
+}
+
+// PCL's PCD format: ascii or binary DATA (binary_compressed isn't supported)
+// Colors come from a packed rgb/rgba field or separate r g b fields
+export function parsePCD(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const header = {};
+  let offset = 0;
+
+  // Header lines up to and including DATA
+  while (offset < bytes.length) {
+    let end = offset;
+    while (end < bytes.length && bytes[end] !== 0x0a) end++;
+    const line = new TextDecoder().decode(bytes.subarray(offset, end)).trim();
+    offset = end + 1;
+
+    if (!line || line.startsWith('#')) continue;
+    const [key, ...values] = line.split(/\s+/);
+    header[key.toUpperCase()] = values;
+    if (key.toUpperCase() === 'DATA') break;
+  }
+
+  if (!header.FIELDS || !header.DATA) {
+    throw new Error('PCD header needs FIELDS and DATA');
+  }
+
+  const fields = header.FIELDS;
+  const sizes = (header.SIZE || fields.map(() => '4')).map(Number);
+  const types = header.TYPE || fields.map(() => 'F');
+  const counts = (header.COUNT || fields.map(() => '1')).map(Number);
+  const count = header.POINTS
+    ? Number(header.POINTS[0])
+    : Number(header.WIDTH[0]) * Number(header.HEIGHT ? header.HEIGHT[0] : 1);
+  const dataFormat = header.DATA[0].toLowerCase();
+
+  const fieldIndex = name => fields.indexOf(name);
+  const [xIndex, yIndex, zIndex] = ['x', 'y', 'z'].map(fieldIndex);
+  if (xIndex === -1 || yIndex === -1 || zIndex === -1) {
+    throw new Error('PCD file has no x/y/z fields');
+  }
+  const packedColorIndex = fieldIndex('rgb') !== -1 ? fieldIndex('rgb') : fieldIndex('rgba');
+  const channelIndices = ['r', 'g', 'b'].map(fieldIndex);
+  const hasChannels = channelIndices.every(index => index !== -1);
+  const hasColors = packedColorIndex !== -1 || hasChannels;
+
+  // Each point's field values (first element of each field), read from ascii or binary
+  const readPoint = createPCDReader(dataFormat, bytes, offset, { sizes, types, counts });
+
+  const positions = [];
+  const colors = [];
+  for (let i = 0; i < count; i++) {
+    const values = readPoint(i);
+    if (!values) break;
+
+    const x = values[xIndex], y = values[yIndex], z = values[zIndex];
+    // Organized clouds mark missing points with NaN
+    if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) continue;
+    positions.push(x, y, z);
+
+    if (packedColorIndex !== -1) {
+      const packed = values.packed[packedColorIndex];
+      colors.push(((packed >>> 16) & 0xff) / 255, ((packed >>> 8) & 0xff) / 255, (packed & 0xff) / 255);
+    } else if (hasChannels) {
+      colors.push(values[channelIndices[0]], values[channelIndices[1]], values[channelIndices[2]]);
+    }
+  }
+
+  return {
+    count: positions.length / 3,
+    positions: new Float32Array(positions),
+    colors: hasColors ? normalizeColorRange(new Float32Array(colors)) : null
+  };
+}
+
+// Returns readPoint(i) -> array of field values, plus values.packed with each field's raw 32 bits
+// (PCD stores rgb as a float whose bits are the packed 0xRRGGBB integer)
+function createPCDReader(dataFormat, bytes, bodyStart, { sizes, types, counts }) {
+  if (dataFormat === 'ascii') {
+    const lines = new TextDecoder().decode(bytes.subarray(bodyStart)).split(/\r?\n/).filter(line => line.trim());
+    const scratch = new DataView(new ArrayBuffer(4));
+
+    return (i) => {
+      if (i >= lines.length) return null;
+      const tokens = lines[i].trim().split(/\s+/);
+      const values = [];
+      values.packed = [];
+      let token = 0;
+      sizes.forEach((size, f) => {
+        const value = Number(tokens[token]);
+        values.push(value);
+        // Packed colors written as floats in ascii: recover the bits
+        if (types[f] === 'F' && size === 4) {
+          scratch.setFloat32(0, value);
+          values.packed.push(scratch.getUint32(0));
+        } else {
+          values.packed.push(value >>> 0);
+        }
+        token += counts[f];
+      });
+      return values;
+    };
+  }
+
+  if (dataFormat === 'binary') {
+    const view = new DataView(bytes.buffer, bytes.byteOffset);
+    const pointSize = sizes.reduce((sum, size, f) => sum + size * counts[f], 0);
+
+    return (i) => {
+      let offset = bodyStart + i * pointSize;
+      if (offset + pointSize > bytes.length) return null;
+      const values = [];
+      values.packed = [];
+      sizes.forEach((size, f) => {
+        values.push(readPCDValue(view, offset, size, types[f]));
+        values.packed.push(size === 4 ? view.getUint32(offset, true) : 0);
+        offset += size * counts[f];
+      });
+      return values;
+    };
+  }
+
+  throw new Error(`Unsupported PCD DATA "${dataFormat}" (save as ascii or binary)`);
+}
+
+function readPCDValue(view, offset, size, type) {
+  if (type === 'F') return size === 8 ? view.getFloat64(offset, true) : view.getFloat32(offset, true);
+  if (type === 'U') return size === 1 ? view.getUint8(offset) : size === 2 ? view.getUint16(offset, true) : view.getUint32(offset, true);
+  return size === 1 ? view.getInt8(offset) : size === 2 ? view.getInt16(offset, true) : view.getInt32(offset, true);
+}
+
+// Colors may arrive as 0-1 or 0-255: scale down if anything is above 1
+function normalizeColorRange(colors) {
+  let max = 0;
+  for (let i = 0; i < colors.length; i++) {
+    if (colors[i] > max) max = colors[i];
+  }
+  if (max > 1) {
+    for (let i = 0; i < colors.length; i++) {
+      colors[i] /= 255;
+    }
+  }
+  return colors;
+}
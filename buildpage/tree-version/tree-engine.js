@@ -3,8 +3,20 @@
 
 import * as THREE from 'https://esm.sh/three@0.160.0';
 import gsap from 'https://esm.sh/gsap@3.12.2';
+import { OrbitControls } from 'https://esm.sh/three@0.160.0/examples/jsm/controls/OrbitControls.js';
+import { getFigure, registerFigure } from './tree-figures.js';
+import { generateFromSource } from './tree-generator.js';
+import { SpatialHash } from './tree-spatial-hash.js';
+import { createRandom, createSeed, deriveSeed, normalizeSeed, shuffled } from './tree-random.js';
+import { encodePLY, encodeCloudJSON, fetchCloud } from './tree-cloud-io.js';
+import { GrowthTimeline } from './tree-timeline.js';
+import { DEFAULT_GROWTH_PATTERN, computeGrowthOrder, isBuiltInGrowthPattern } from './tree-growth-patterns.js';
+import { assignMemberParticles, normalizeMember, pickNewMemberParticle, rankByGrowth } from './tree-members.js';
+import { SparkEmitter, selectAll, selectOuterEdge, selectRoots } from './tree-sparks.js';
+import { createGust, resolveWeatherModes, selectCrownEdge, selectTopSurface } from './tree-weather.js';
 
 // ===== CONFIGURATION =====
+// Figure settings (image, sampling, depth, color, flow, growth, sparks) live in tree-figures.js
 const CONFIG = {
   grid: {
     spacing: 40,
@@ -12,46 +24,124 @@ const CONFIG = {
     color: '#cccccc',
     opacity: 0.4
   },
-  tree: {
-    size: 1024,                   // Match source image size (1024x1024) for maximum detail
-    displayScale: 0.576,          // Scale to fit 590px display (590/1024 = 0.576)
-    particleSize: 3.6,            // Slightly larger for better visibility
-    depthRange: 25,               // Much tighter depth to prevent blob effect
-    // ANIMATION SETTINGS - Continuous upward flow (tree shape stays intact)
-    flowSpeed: 0.12,              // Even slower to reduce blur
-    flowHeight: 8,                // Shorter travel to keep particles in branch lines
-    flowTurbulence: 0.04,         // Minimal horizontal drift to maintain sharp branches
-    samplingDensity: 1,           // Sample every pixel for maximum detail
-    // GROWTH ANIMATION SETTINGS
-    saplingParticleRatio: 0.5,    // Show 50% of particles in sapling for denser appearance
-    saplingHeightRange: [0.0, 0.45], // Show bottom 45% of tree height
-    saplingTaperExtension: 150,   // Larger random upward extension (px) for gradual taper
-    saplingTaperStart: 0.7,       // Start tapering from 70% of sapling height
-    growthDuration: 10.0          // Growth animation duration in seconds
+  theme: 'light',                 // 'light' | 'dark' | 'auto' (follows the OS setting, override with ?theme=)
+  // Per-theme overrides; page colors live in tree-styles.css (body.theme-dark), particle colors in each figure's color group
+  themes: {
+    light: {},
+    dark: {
+      grid: { color: '#6b635a', opacity: 0.35 },  // Dimmer warm-gray dots on the dark page
+      weather: { snow: { colors: ['#f4f7fb'] } }  // White snow on the dark page
+    }
+  },
+  figure: 'tree',                 // Registered figure to build (override with ?figure=name)
+  seed: null,                     // Same seed = identical cloud (null = new seed each load, override with ?seed=)
+  camera: {
+    fov: 75,
+    distance: 400,                // Starting distance from the figure (straight-on view)
+    controls: true,               // Orbit (drag), zoom (wheel/pinch) and pan (right-drag/two fingers)
+    damping: 0.08,                // Glide after releasing a drag (0 = stop instantly)
+    minDistance: 150,             // Closest zoom
+    maxDistance: 800,             // Farthest zoom (stays inside the camera's far plane)
+    minPolarAngle: 0.35,          // Radians from straight above - keeps the camera off the top...
+    maxPolarAngle: 2.6,           // ...and out from under the roots
+    panLimit: 300,                // Orbit target stays within this distance of the figure center
+    autoRotate: true,             // Slowly circle the figure while nobody is interacting
+    autoRotateSpeed: 0.5,         // 2.0 = one turn every 30 seconds
+    idleDelay: 8000,              // ms without input before auto-rotate starts
+    resetDuration: 1.2            // Seconds for resetView to glide home
+  },
+  interaction: {
+    enabled: true,                // Pointer/touch forces and click spark bursts
+    mode: 'repel',                // 'repel' pushes particles away from the pointer, 'attract' pulls them in
+    radius: 60,                   // Distance from the pointer ray that feels the force
+    strength: 2500,               // Push at the ray (falls off to nothing at radius)
+    spring: 30,                   // Pull back toward originalX/Y/Z (higher = snappier)
+    damping: 7,                   // Velocity damping (higher = less wobble)
+    maxOffset: 70,                // Particles are never pushed further than this from home
+    burstCount: 40,               // Sparks started by a click or tap
+    burstRadius: 30,              // ...from the particles this close to the pointer ray
+    clickTolerance: 6             // Pixels a press may move and still count as a click (not an orbit drag)
   },
   sparks: {
-    frequency: 6.67,        // Trigger sparks every ~6.67ms (150 sparks per second)
-    popIntensity: 15,       // How far the initial "pop" pushes the particle
-    floatSpeed: 0.8,        // How fast the spark floats upward
-    floatHeight: 150,       // How far up the spark travels before fading
-    curveAmplitude: 20,     // How much the spark curves side-to-side
-    curveFrequency: 0.02,   // How wavy the curve is
-    fadeDuration: 3000,     // How long the spark takes to fade out (ms)
-    opacityBoost: 1.5,      // Multiply spark opacity by this amount (brighter sparks)
+    poolSize: 1024                // Most sparks in flight at once (the default 250/s for 3s needs 750)
+  },
+  weather: {
+    mode: 'none',                 // 'none' | 'auto' (season from the date) | 'winter' | 'spring' | 'summer' | 'autumn'
+                                  // | 'leaves' | 'snow' | 'blossoms' | 'wind', or a list of them (override with ?weather=)
+    hemisphere: 'north',          // 'north' | 'south' - which months 'auto' counts as winter
+    date: null,                   // Date 'auto' reads the season from (null = today)
+    leaves: {
+      rate: 12,                   // Leaves let go per second, from the crown's outer branches
+      duration: 7,                // Seconds from letting go to fading on the ground
+      poolSize: 128,              // Most leaves in the air (or on the ground) at once
+      crown: 0.4,                 // Only branches above this share of the height drop leaves
+      size: 1.6,                  // Point size relative to the figure's particles
+      sway: 18,                   // Side-to-side flutter while falling
+      colors: ['#c2410c', '#d97706', '#b45309', '#991b1b']
+    },
+    snow: {
+      rate: 40,                   // Flakes per second
+      duration: 12,               // Seconds from falling in to melting away
+      poolSize: 512,
+      crown: 0.45,                // Flakes settle on top of branches above this share of the height
+      size: 1.2,
+      sway: 10,
+      colors: ['#a9b8cc']         // Blue-gray so flakes show on the light page
+    },
+    blossoms: {
+      rate: 40,                   // Blossoms opening per second, on the crown's branch tips
+      duration: 14,               // Seconds from opening to the petal drifting away
+      poolSize: 640,
+      crown: 0.35,
+      size: 1.8,
+      sway: 14,
+      colors: ['#f9a8d4', '#fbcfe8', '#f472b6']
+    },
+    wind: {
+      strength: 35,               // How far the top of the crown leans in the strongest gusts
+      breeze: 4,                  // Lean between gusts
+      gustiness: 0.5,             // 0-1: higher = more frequent, longer gusts
+      direction: 0,               // Radians around the vertical axis (0 = blowing toward +x)
+      response: 1.5               // How quickly the crown follows the gusts (per second)
+    }
+  },
+  members: {
+    size: 2.2,                    // User Points draw this much larger than anonymous particles
+    highlightSize: 3.5,           // ...and the hovered or focused member larger still
+    hoverRadius: 14,              // Pixels between the cursor and a member to show its name
+    focusDistance: 160,           // Camera distance from a member after focusMember
+    focusDuration: 1.2,           // Seconds for the camera to glide to a member
+    joinDuration: 2.5,            // Seconds for a new member to fly into place
+    joinFrom: [0, -450, 0]        // Where new members fly in from (below the figure)
+  },
+  morph: {
+    duration: 3.0,                // Seconds for a full figure-to-figure morph
+    ease: 'power2.inOut',         // gsap ease applied to the overall progress
+    stagger: 0.35,                // Share of the morph spent staggering particles by growthOrder
+    matchRows: 48                 // Height bands used to pair source and target particles
   }
 };
 
 // ===== GLOBAL STATE =====
 let treeImageElement = null;
 let scene, camera, renderer;
+let controls = null;         // OrbitControls (null when CONFIG.camera.controls is off)
+let idleTimer = null;        // Restarts auto-rotate after CONFIG.camera.idleDelay without input
 let particleSystem = null;
-let treeImage = null;
+let activeFigure = null;     // Registered figure currently shown (see tree-figures.js)
+let activeSeed = null;       // Seed behind every random choice in generation and sparks
 let particles = [];
 let showPointCloud = true;  // Always show point cloud
-let isGrown = false;         // Track if tree has grown to adult
 let flowAnimationEnabled = false; // Growth flow animation (triggered on click)
 let saplingAnimationEnabled = true; // Sapling always animated from start!
-let sparksEnabled = false;   // Fireplace spark effect (starts after growth)
+let isMorphing = false;      // Guards against overlapping figure loads and morphs
+let growthProgress = 0;      // 0 = sapling, 1 = fully grown (drives the shader's growth wave)
+let sparkPool = null;        // THREE.Points drawing sparkEmitter's pool (see createSparkPool)
+let wind = { x: 0, z: 0 };   // Current lean of the crown (eases toward the gust, see updateWeather)
+let lastFrameTime = performance.now();
+let activeTheme = 'light';   // Key of CONFIG.themes currently applied
+let redrawGrid = null;       // Set by createBackgroundGrid so theme changes can repaint the dots
+const animationStart = performance.now();
 
 // ===== BACKGROUND GRID =====
 function createBackgroundGrid() {
@@ -70,9 +160,10 @@ function createBackgroundGrid() {
   }
 
   function draw() {
+    const grid = { ...CONFIG.grid, ...CONFIG.themes[activeTheme].grid };
     ctx.clearRect(0, 0, canvas.width, canvas.height);
-    ctx.fillStyle = CONFIG.grid.color;
-    ctx.globalAlpha = CONFIG.grid.opacity;
+    ctx.fillStyle = grid.color;
+    ctx.globalAlpha = grid.opacity;
 
     const cols = Math.ceil(canvas.width / CONFIG.grid.spacing);
     const rows = Math.ceil(canvas.height / CONFIG.grid.spacing);
@@ -92,6 +183,35 @@ function createBackgroundGrid() {
 
   resize();
   window.addEventListener('resize', resize);
+  redrawGrid = draw;
+}
+
+// ===== THEME =====
+// Theme from ?theme=, falling back to CONFIG.theme ('auto' follows prefers-color-scheme)
+function getRequestedTheme() {
+  const requested = new URLSearchParams(window.location.search).get('theme') || CONFIG.theme;
+  if (requested === 'auto') {
+    return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+  }
+  return requested;
+}
+
+// Switches page, grid and particle colors; safe to call before or after the cloud exists
+export function setTheme(name) {
+  if (!CONFIG.themes[name]) {
+    console.warn(`⚠️ Unknown theme "${name}" (available: ${Object.keys(CONFIG.themes).join(', ')})`);
+    return activeTheme;
+  }
+
+  activeTheme = name;
+  Object.keys(CONFIG.themes).forEach(theme => {
+    document.body.classList.toggle(`theme-${theme}`, theme === name);
+  });
+  if (redrawGrid) redrawGrid();
+  if (particleSystem && !isMorphing) refreshParticleColors();
+
+  console.log(`🎨 Theme: ${name}`);
+  return activeTheme;
 }
 
 
@@ -107,28 +227,29 @@ function setupInputControls() {
     buildTriggerBox.addEventListener('click', (e) => {
       console.log('🖱️ BUILD YOUR OWN box clicked!');
 
-      if (!isGrown) {
-        console.log('🌱 Starting tree growth animation...');
-
-        // Hide the text box
-        buildTriggerBox.classList.add('hidden');
-
-        // Start growth animation
+      if (growthTimeline.progress === 0) {
+        // Start growth animation (the box fades out on growthStart)
         growTree();
         console.log('🌱 Tree growth triggered by BUILD YOUR OWN box click');
-
-        // Remove the box from DOM after 4 second fade out
-        setTimeout(() => {
-          buildTriggerBox.remove();
-          console.log('🗑️ BUILD YOUR OWN box removed from DOM');
-        }, 4000);
       } else {
-        console.log('⚠️ Tree already grown, ignoring click');
+        console.log('⚠️ Tree already growing, ignoring click');
       }
     });
+
+    // The box fades out (4 seconds) while the tree grows and comes back once it shrinks to a sapling
+    growthTimeline.addEventListener('growthStart', () => buildTriggerBox.classList.add('hidden'));
+    growthTimeline.addEventListener('growthReset', () => buildTriggerBox.classList.remove('hidden'));
   } else {
     console.warn('⚠️ BUILD YOUR OWN trigger box not found in DOM');
   }
+
+  // Particles react to the cursor and touches (see POINTER INTERACTION)
+  if (CONFIG.interaction.enabled) {
+    setupPointerInteraction();
+  }
+
+  // Hover a User Point to see the member, click/tap it to focus
+  setupMemberInteraction();
 }
 
 function updateVisibility() {
@@ -168,12 +289,12 @@ function initThreeJS() {
   scene = new THREE.Scene();
 
   camera = new THREE.PerspectiveCamera(
-    75,
+    CONFIG.camera.fov,
     window.innerWidth / window.innerHeight,
     0.1,
     1000
   );
-  camera.position.z = 400;
+  camera.position.z = CONFIG.camera.distance;
 
   // Use existing canvas from HTML instead of creating new one
   const canvas = document.getElementById('pointcloud-canvas');
@@ -196,853 +317,2010 @@ function initThreeJS() {
     renderer.setSize(window.innerWidth, window.innerHeight);
   });
 
+  if (CONFIG.camera.controls) {
+    setupCameraControls(canvas);
+  }
+
   console.log('✅ Three.js renderer initialized with existing canvas');
 }
 
-// ===== LOAD TREE IMAGE =====
-function loadTreeImage() {
+// ===== CAMERA CONTROLS =====
+// Orbit, zoom and pan around the figure (mouse and touch), with an idle auto-rotate
+// and a reset-view button / R key that glides back to the straight-on view
+function setupCameraControls(canvas) {
+  const settings = CONFIG.camera;
+
+  controls = new OrbitControls(camera, canvas);
+  controls.enableDamping = settings.damping > 0;
+  controls.dampingFactor = settings.damping;
+  controls.minDistance = settings.minDistance;
+  controls.maxDistance = settings.maxDistance;
+  controls.minPolarAngle = settings.minPolarAngle;
+  controls.maxPolarAngle = settings.maxPolarAngle;
+  controls.autoRotateSpeed = settings.autoRotateSpeed;
+  controls.touches = { ONE: THREE.TOUCH.ROTATE, TWO: THREE.TOUCH.DOLLY_PAN };
+  canvas.classList.add('interactive');
+
+  const resetButton = document.getElementById('reset-view');
+
+  // Any input stops auto-rotate; it resumes after the idle delay
+  controls.addEventListener('start', () => {
+    controls.autoRotate = false;
+    clearTimeout(idleTimer);
+    canvas.classList.add('dragging');
+    if (resetButton) resetButton.classList.add('visible');
+  });
+  controls.addEventListener('end', () => {
+    canvas.classList.remove('dragging');
+    scheduleAutoRotate();
+  });
+
+  // Keep the figure in view: pull the target (and camera with it) back inside panLimit
+  controls.addEventListener('change', () => {
+    const offset = controls.target.length();
+    if (offset > settings.panLimit) {
+      const correction = controls.target.clone().multiplyScalar(settings.panLimit / offset - 1);
+      controls.target.add(correction);
+      camera.position.add(correction);
+    }
+  });
+
+  if (resetButton) {
+    resetButton.addEventListener('click', resetView);
+  }
+  window.addEventListener('keydown', (e) => {
+    if ((e.key === 'r' || e.key === 'R') && !e.target.closest('input, textarea, [contenteditable]')) {
+      resetView();
+    }
+  });
+
+  scheduleAutoRotate();
+  console.log('✅ Camera controls enabled (drag to orbit, scroll/pinch to zoom, R to reset)');
+}
+
+function scheduleAutoRotate() {
+  clearTimeout(idleTimer);
+  if (!CONFIG.camera.autoRotate) return;
+  idleTimer = setTimeout(() => {
+    controls.autoRotate = true;
+  }, CONFIG.camera.idleDelay);
+}
+
+// Glide back to the starting straight-on view
+export function resetView() {
+  if (!controls) return;
+
+  const resetButton = document.getElementById('reset-view');
+  if (resetButton) resetButton.classList.remove('visible');
+
+  controls.autoRotate = false;
+  controls.enabled = false;
+  gsap.to(controls.target, { x: 0, y: 0, z: 0, duration: CONFIG.camera.resetDuration, ease: 'power2.inOut' });
+  gsap.to(camera.position, {
+    x: 0,
+    y: 0,
+    z: CONFIG.camera.distance,
+    duration: CONFIG.camera.resetDuration,
+    ease: 'power2.inOut',
+    onComplete: () => {
+      controls.enabled = true;
+      scheduleAutoRotate();
+    }
+  });
+}
+
+// ===== LOAD FIGURE IMAGE =====
+function loadFigureImage(figure) {
   return new Promise((resolve, reject) => {
     const img = new Image();
     img.crossOrigin = 'anonymous';
     img.onload = () => {
-      console.log('✅ Tree image loaded successfully');
-      treeImage = img;
+      console.log(`✅ ${figure.name} image loaded successfully`);
       resolve(img);
     };
     img.onerror = (e) => {
-      console.error('❌ Failed to load tree image:', e);
+      console.error(`❌ Failed to load ${figure.name} image:`, e);
       reject(e);
     };
-    console.log('Loading tree from: tree-transparent.png');
-    img.src = 'tree-transparent.png';
+    console.log(`Loading ${figure.name} from: ${figure.image}`);
+    img.src = figure.image;
   });
 }
 
-// ===== ROOT EXTENSION FUNCTION =====
-// Creates wider, more radiating roots that spread outward for a grounded appearance
-function extendRoots(positions) {
-  const newParticles = [];
-
-  // Find the bottom 15% of particles (root base area)
-  const sortedByY = [...positions].sort((a, b) => a.y - b.y);
-  const bottomThreshold = sortedByY[Math.floor(sortedByY.length * 0.15)].y;
-  const rootBaseParticles = positions.filter(p => p.y <= bottomThreshold);
-
-  // Find center of root base
-  const centerX = rootBaseParticles.reduce((sum, p) => sum + p.x, 0) / rootBaseParticles.length;
-  const centerZ = rootBaseParticles.reduce((sum, p) => sum + p.z, 0) / rootBaseParticles.length;
-
-  // Select MORE starting points for wider root spread (but limit to prevent stack overflow)
-  const rootStarts = rootBaseParticles.filter(() => Math.random() < 0.20);
-  const maxRootStarts = 50; // Safety limit to prevent stack overflow
-  const limitedRootStarts = rootStarts.slice(0, maxRootStarts);
-
-  console.log(`Creating roots from ${limitedRootStarts.length} starting points (limited from ${rootStarts.length})`);
-
-  // Create branching root structure for each starting point
-  limitedRootStarts.forEach(startParticle => {
-    // Calculate outward direction from center
-    const outwardX = startParticle.x - centerX;
-    const outwardZ = startParticle.z - centerZ;
-    const outwardMag = Math.sqrt(outwardX * outwardX + outwardZ * outwardZ) || 1;
-
-    createRootBranch(startParticle, newParticles, 0, 1.0, outwardX / outwardMag, outwardZ / outwardMag);
-  });
-
-  return newParticles;
+// Figure name from ?figure=name, falling back to CONFIG.figure
+function getRequestedFigureName() {
+  const params = new URLSearchParams(window.location.search);
+  return params.get('figure') || CONFIG.figure;
 }
 
-// Recursive function to create a single branching root with outward bias
-function createRootBranch(startPos, particleArray, depth, thickness, biasX, biasZ) {
-  // Safety check to prevent infinite recursion (reduced from 3 to 2 for safety)
-  if (depth >= 2 || thickness < 0.2 || particleArray.length > 100000) {
-    return;
+// Seed from ?seed=, then CONFIG.seed, otherwise a fresh one (picked once per page load)
+// Page code can read it to reproduce a cloud: import { getSeed } from './tree-engine.js';
+export function getSeed() {
+  if (activeSeed === null) {
+    const requested = new URLSearchParams(window.location.search).get('seed') ?? CONFIG.seed;
+    activeSeed = requested !== null && requested !== '' ? normalizeSeed(requested) : createSeed();
+    console.log(`🎲 Seed ${activeSeed} (add ?seed=${activeSeed} to the URL to rebuild this exact cloud)`);
   }
+  return activeSeed;
+}
 
-  const branchLength = 50 + Math.random() * 70; // Longer roots for wider spread
-  const segments = Math.floor(branchLength / 4);
-
-  // Direction: STRONGLY outward and down (wider root system)
-  let angleX = biasX * 1.2 + (Math.random() - 0.5) * 0.4; // Strong horizontal spread
-  let angleY = -0.6 - Math.random() * 0.3; // Less downward, more outward
-  let angleZ = biasZ * 1.2 + (Math.random() - 0.5) * 0.4; // 3D outward spread
-
-  let currentX = startPos.x;
-  let currentY = startPos.y;
-  let currentZ = startPos.z;
-
-  // Draw this root segment with curves
-  for (let i = 0; i < segments; i++) {
-    const progress = i / segments;
-
-    // Add organic curves and irregularities
-    angleX += (Math.random() - 0.5) * 0.25;
-    angleY += (Math.random() - 0.5) * 0.15;
-    angleZ += (Math.random() - 0.5) * 0.25;
-
-    // Move along the root with outward emphasis
-    currentX += angleX * 3.5;
-    currentY += angleY * 3;
-    currentZ += angleZ * 3.5;
-
-    // Thickness decreases along the root (tapering) - LESS dense
-    const currentThickness = thickness * (1 - progress * 0.5);
-    const particlesInRing = Math.max(1, Math.floor(currentThickness * 4)); // Reduced from 6
-
-    // Create particles around this point (gives thickness) - more sparse
-    for (let p = 0; p < particlesInRing; p++) {
-      const spreadRadius = currentThickness * 1.5; // Tighter spread
-      const xSpread = (Math.random() - 0.5) * spreadRadius;
-      const zSpread = (Math.random() - 0.5) * spreadRadius;
-
-      particleArray.push({
-        x: currentX + xSpread,
-        y: currentY,
-        z: currentZ + zSpread
-      });
-    }
-  }
-
-  // Chance to branch (split into sub-roots) - more branching for complexity
-  // Reduced depth check from 2 to 1 for safety
-  if (depth < 1 && Math.random() < 0.35 && particleArray.length < 80000) {
-    const numBranches = Math.random() < 0.7 ? 2 : 3; // Usually 2, sometimes 3
-
-    for (let b = 0; b < numBranches; b++) {
-      const branchStart = {
-        x: currentX + (Math.random() - 0.5) * 15,
-        y: currentY,
-        z: currentZ + (Math.random() - 0.5) * 15
-      };
+// ===== CREATE POINT CLOUD FROM FIGURE =====
+function createPointCloud(figureParticles, figure = activeFigure) {
+  particles = figureParticles;
+  particleSystem = createParticleSystem(particles, figure);
+  scene.add(particleSystem);
+  bindSparkEmitter(figure);
+  bindWeather(figure);
 
-      // Sub-branches maintain outward direction with variation
-      const newBiasX = angleX + (Math.random() - 0.5) * 0.5;
-      const newBiasZ = angleZ + (Math.random() - 0.5) * 0.5;
+  console.log('✅ Point cloud added to scene');
+  return particleSystem;
+}
 
-      // Sub-branches are thinner
-      createRootBranch(branchStart, particleArray, depth + 1, thickness * 0.6, newBiasX, newBiasZ);
+// Particles for a figure: its precomputed cloud file if it has one (see exportCloud),
+// otherwise generated from its imported points or its image. Returns null if nothing usable was found
+async function loadFigureParticles(figure) {
+  if (figure.cloud) {
+    try {
+      const data = await fetchCloud(figure.cloud);
+      console.log(`📦 Loaded precomputed cloud ${figure.cloud} (${data.count} particles)`);
+      return unpackParticles(figure, data, createRandom(deriveSeed(getSeed(), 'particles')));
+    } catch (error) {
+      console.warn(`⚠️ Could not load precomputed cloud ${figure.cloud}, generating instead:`, error);
     }
   }
-}
-
-// ===== BRANCH EXTENSION FUNCTION =====
-// Extends branches outward with more spread, variation, and natural irregularity
-function extendBranches(positions) {
-  const newParticles = [];
-
-  // Find center of tree mass
-  const centerX = positions.reduce((sum, p) => sum + p.x, 0) / positions.length;
-  const centerY = positions.reduce((sum, p) => sum + p.y, 0) / positions.length;
-
-  // Find Y bounds
-  const sortedByY = [...positions].sort((a, b) => a.y - b.y);
-  const minY = sortedByY[0].y;
-  const maxY = sortedByY[sortedByY.length - 1].y;
-  const treeHeight = maxY - minY;
-
-  // Focus on WIDER range 30-80% of tree height for more branching throughout
-  const middleStart = minY + treeHeight * 0.3;
-  const middleEnd = minY + treeHeight * 0.8;
-
-  // Find particles in middle section
-  const middleParticles = positions.filter(p => p.y >= middleStart && p.y <= middleEnd);
-
-  // Find outer particles (branch tips) in middle section
-  const particlesWithDistance = middleParticles.map(p => {
-    const dx = p.x - centerX;
-    const dy = p.y - centerY;
-    return {
-      particle: p,
-      distance: Math.sqrt(dx * dx + dy * dy),
-      angle: Math.atan2(dy, dx)
-    };
-  });
 
-  // Sort by distance and take only the outer 25% (more branch tips)
-  particlesWithDistance.sort((a, b) => b.distance - a.distance);
-  const outerParticles = particlesWithDistance.slice(0, Math.floor(middleParticles.length * 0.25));
-
-  // For each outer particle, find nearby particles to determine branch direction
-  const branchTips = outerParticles.map(({ particle }) => {
-    // Find particles near this one (within 15px)
-    const nearby = middleParticles.filter(p => {
-      const dist = Math.sqrt(
-        Math.pow(p.x - particle.x, 2) +
-        Math.pow(p.y - particle.y, 2) +
-        Math.pow(p.z - particle.z, 2)
-      );
-      return dist > 0 && dist < 15;
-    });
-
-    if (nearby.length === 0) return null;
-
-    // Calculate average direction FROM nearby particles TO this tip
-    let avgDx = 0, avgDy = 0, avgDz = 0;
-    nearby.forEach(p => {
-      avgDx += particle.x - p.x;
-      avgDy += particle.y - p.y;
-      avgDz += particle.z - p.z;
-    });
-    avgDx /= nearby.length;
-    avgDy /= nearby.length;
-    avgDz /= nearby.length;
-
-    // Normalize direction
-    const magnitude = Math.sqrt(avgDx * avgDx + avgDy * avgDy + avgDz * avgDz);
-    if (magnitude === 0) return null;
-
-    return {
-      particle,
-      directionX: avgDx / magnitude,
-      directionY: avgDy / magnitude,
-      directionZ: avgDz / magnitude
-    };
-  }).filter(tip => tip !== null);
-
-  // Sample MORE tips to extend (20% instead of 15%) for fuller branching
-  const sampled = branchTips.filter(() => Math.random() < 0.20);
-
-  sampled.forEach(({ particle, directionX, directionY, directionZ }) => {
-    let currentX = particle.x;
-    let currentY = particle.y;
-    let currentZ = particle.z;
-
-    // VARIABLE extension length for natural variation (30-60px)
-    const extensionLength = 30 + Math.random() * 30;
-    const extensionSegments = Math.floor(extensionLength / 3);
-    const segmentLength = 3;
-
-    // Add outward bias to spread branches horizontally
-    const outwardBiasX = (particle.x - centerX) / Math.abs(particle.x - centerX || 1) * 0.3;
-    const outwardBiasZ = (Math.random() - 0.5) * 0.2;
-
-    for (let i = 1; i <= extensionSegments; i++) {
-      const progress = i / extensionSegments;
-
-      // Add MORE organic curve and irregularity
-      const curveX = (Math.random() - 0.5) * 0.4;
-      const curveY = (Math.random() - 0.5) * 0.3;
-      const curveZ = (Math.random() - 0.5) * 0.4;
-
-      // Move along branch direction with OUTWARD bias and variation
-      currentX += (directionX + outwardBiasX) * segmentLength + curveX;
-      currentY += (directionY - 0.1) * segmentLength + curveY; // Slight downward droop
-      currentZ += (directionZ + outwardBiasZ) * segmentLength + curveZ;
-
-      // VERY sparse density to keep branches as clean lines
-      const density = Math.pow(1 - progress, 2.0) * 0.4; // Much less dense
-
-      // Only add particles based on probability (very sparse, line-like branches)
-      if (Math.random() < density) {
-        const particlesAtSegment = 1; // Single particle only - no clustering
-
-        for (let p = 0; p < particlesAtSegment; p++) {
-          // EXTREMELY tight spread - almost no deviation from branch line
-          const spread = (1 - progress) * 0.5; // Half the previous spread
-
-          newParticles.push({
-            x: currentX + (Math.random() - 0.5) * spread,
-            y: currentY + (Math.random() - 0.5) * spread,
-            z: currentZ + (Math.random() - 0.5) * spread * 0.3 // Even tighter in Z
-          });
-        }
-      }
-    }
-  });
+  if (figure.points) {
+    return buildFigureParticles(figure, () => loadPointSource(figure.points));
+  }
 
-  return newParticles;
+  const image = await loadFigureImage(figure);
+  return buildFigureParticles(figure, () => rasterizeFigure(figure, image));
 }
 
-// ===== CREATE POINT CLOUD FROM TREE =====
-function createPointCloud() {
-  if (!treeImage) {
-    console.error('❌ Tree image not loaded yet');
+// ===== BUILD FIGURE PARTICLES =====
+// Turns the figure's image or imported points into particle data (positions, growth and animation properties)
+// The heavy lifting runs in tree-worker.js; no Three.js objects are created here,
+// so morphing can build a target without touching the scene
+// createSource() returns a generator source (see generateFromSource in tree-generator.js);
+// it's called again for the main-thread fallback since the worker takes ownership of its buffer
+// Only a worker that can't run falls back; errors from the generator itself are thrown to the caller
+async function buildFigureParticles(figure, createSource) {
+  console.log(`🔄 Creating point cloud from ${figure.name}`);
+
+  const seed = getSeed();
+
+  // Custom growth patterns only exist on the page (functions can't be posted to the worker):
+  // generate with the default order, then apply the pattern here
+  const customPattern = !isBuiltInGrowthPattern(figure.growth.pattern);
+  const generatorFigure = customPattern
+    ? { ...figure, growth: { ...figure.growth, pattern: DEFAULT_GROWTH_PATTERN } }
+    : figure;
+
+  let data;
+  try {
+    data = await generateInWorker(generatorFigure, await createSource(), seed);
+  } catch (error) {
+    if (!(error instanceof WorkerUnavailableError)) throw error;
+    console.warn('⚠️ Point cloud worker unavailable, generating on the main thread:', error);
+    data = generateFromSource(generatorFigure, await createSource(), seed, (stage, progress) => reportBuildProgress(figure, stage, progress));
+  }
+
+  if (data.count === 0) {
+    console.warn('⚠️ No particles created - figure might be too light or transparent');
     return null;
   }
 
-  console.log('🔄 Creating point cloud from tree:', treeImage.width, 'x', treeImage.height);
+  if (customPattern) {
+    data.growthOrder = computeGrowthOrder(data.positions, figure.growth.pattern, createRandom(deriveSeed(seed, 'growth')));
+  }
 
+  return unpackParticles(figure, data, createRandom(deriveSeed(seed, 'particles')));
+}
+
+// Draw the figure image centered on a white figure.size square, keeping its aspect ratio
+function rasterizeFigure(figure, image) {
   const canvas = document.createElement('canvas');
   const ctx = canvas.getContext('2d');
 
-  canvas.width = CONFIG.tree.size;
-  canvas.height = CONFIG.tree.size;
+  canvas.width = figure.size;
+  canvas.height = figure.size;
 
-  // Fill with white background
   ctx.fillStyle = '#ffffff';
   ctx.fillRect(0, 0, canvas.width, canvas.height);
 
-  // Draw the tree image
-  ctx.drawImage(treeImage, 0, 0, CONFIG.tree.size, CONFIG.tree.size);
+  const fit = Math.min(figure.size / image.width, figure.size / image.height);
+  const drawWidth = image.width * fit;
+  const drawHeight = image.height * fit;
+  ctx.drawImage(image, (figure.size - drawWidth) / 2, (figure.size - drawHeight) / 2, drawWidth, drawHeight);
+
   const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  return { kind: 'image', pixels: imageData.data.buffer, width: canvas.width, height: canvas.height };
+}
 
-  const positions = [];
-  const samplingStep = CONFIG.tree.samplingDensity;
-
-  // Sample pixels to create point cloud
-  for (let y = 0; y < canvas.height; y += samplingStep) {
-    for (let x = 0; x < canvas.width; x += samplingStep) {
-      const i = (y * canvas.width + x) * 4;
-
-      const r = imageData.data[i];
-      const g = imageData.data[i + 1];
-      const b = imageData.data[i + 2];
-      const alpha = imageData.data[i + 3];
-
-      const brightness = (r + g + b) / 3;
-
-      // Include pixels that are dark (part of tree) and have alpha
-      // Threshold at 128 for more defined, solid branches
-      if (alpha > 128 && brightness < 128) {
-        const posX = x - canvas.width / 2;
-        const posY = -(y - canvas.height / 2);
-
-        // EXTREMELY tight depth for ALL branches - almost 2D to prevent blob
-        // Y ranges from -512 (bottom) to +512 (top) for 1024px image
-        const normalizedY = (posY + 512) / 1024; // 0 (bottom) to 1 (top)
-
-        // Progressive depth reduction: only trunk base has depth, ALL branches are nearly flat
-        let depthMultiplier;
-        if (normalizedY > 0.5) {
-          depthMultiplier = 0.12; // Upper branches: almost completely 2D
-        } else if (normalizedY > 0.3) {
-          depthMultiplier = 0.18; // Mid-lower branches: extremely tight
-        } else if (normalizedY > 0.15) {
-          depthMultiplier = 0.4;  // Lower trunk: moderate depth
-        } else {
-          depthMultiplier = 1.0;  // Trunk base only: full depth
-        }
+// Raw bytes of an imported cloud; points is a URL or a File/Blob (file input, drag and drop)
+async function loadPointSource(points) {
+  if (typeof points === 'string') {
+    const response = await fetch(points);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${points} (${response.status})`);
+    }
+    return { kind: 'points', buffer: await response.arrayBuffer(), fileName: points };
+  }
+  return { kind: 'points', buffer: await points.arrayBuffer(), fileName: points.name || '' };
+}
 
-        const posZ = (Math.random() - 0.5) * CONFIG.tree.depthRange * depthMultiplier;
+// Packed generator output -> particle objects used by the animation code
+function unpackParticles(figure, data, random) {
+  const particleArray = new Array(data.count);
 
-        positions.push({ x: posX, y: posY, z: posZ });
+  for (let i = 0; i < data.count; i++) {
+    const isSaplingParticle = data.sapling[i] === 1;
+    const color = data.colors
+      ? [data.colors[i * 3], data.colors[i * 3 + 1], data.colors[i * 3 + 2]]
+      : null;
 
-        // REMOVED extra density - keep branches clean and defined
-        // (No extra particles in branch areas)
-      }
-    }
+    particleArray[i] = {
+      // Final positions (all particles at final position)
+      originalX: data.positions[i * 3],
+      originalY: data.positions[i * 3 + 1],
+      originalZ: data.positions[i * 3 + 2],
+      // Growth properties
+      isSaplingParticle,
+      growthOrder: data.growthOrder[i], // Store for trunk-to-branch growth animation
+      color, // Imported clouds keep their colors (null = default particle color)
+      // Animation properties (uploaded as shader attributes, see createParticleSystem)
+      phaseY: random() * Math.PI * 2,
+      phaseX: random() * Math.PI * 2,
+      speedMultiplier: 0.8 + random() * 0.4,
+      flowOffset: random() * figure.flow.height,
+      driftSeed: random() // Picks a new drift direction each flow cycle
+    };
   }
 
-  if (positions.length === 0) {
-    console.warn('⚠️ No particles created - tree might be too light or transparent');
-    return null;
+  return particleArray;
+}
+
+// ===== GENERATION WORKER =====
+// One shared module worker; each request gets an id so replies find their promise
+let generatorWorker = null;
+let generatorJobId = 0;
+const generatorJobs = new Map();
+
+// The worker couldn't be created, failed to load or crashed (as opposed to a generation error it reported)
+class WorkerUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WorkerUnavailableError';
   }
+}
 
-  console.log(`✅ Created point cloud with ${positions.length} particles`);
+function getGeneratorWorker() {
+  if (generatorWorker) return generatorWorker;
+
+  generatorWorker = new Worker(new URL('./tree-worker.js', import.meta.url), { type: 'module' });
+
+  generatorWorker.onmessage = (event) => {
+    const { id, type } = event.data;
+    const job = generatorJobs.get(id);
+    if (!job) return;
+
+    if (type === 'progress') {
+      reportBuildProgress(job.figure, event.data.stage, event.data.progress);
+    } else if (type === 'done') {
+      generatorJobs.delete(id);
+      reportBuildProgress(job.figure, 'done', 1);
+      job.resolve(event.data);
+    } else if (type === 'error') {
+      generatorJobs.delete(id);
+      reportBuildProgress(job.figure, 'failed', 1);
+      job.reject(new Error(event.data.message));
+    }
+  };
 
-  // ===== EXTEND ROOTS =====
-  // Find particles at the bottom (roots area) and extend some of them downward
-  try {
-    const rootExtensions = extendRoots(positions);
-    positions.push(...rootExtensions);
-    console.log(`🌱 Added ${rootExtensions.length} root extension particles`);
-  } catch (error) {
-    console.error('❌ Error creating roots:', error);
-    console.log('⚠️ Continuing without root extensions');
-  }
+  // Worker failed to load (or crashed): fail every pending job and start fresh next time
+  generatorWorker.onerror = (event) => {
+    event.preventDefault();
+    generatorJobs.forEach(job => job.reject(new WorkerUnavailableError(event.message || 'Point cloud worker failed')));
+    generatorJobs.clear();
+    generatorWorker.terminate();
+    generatorWorker = null;
+  };
 
-  // ===== EXTEND BRANCHES =====
-  // Extend branch tips outward by 30px
-  try {
-    const branchExtensions = extendBranches(positions);
-    positions.push(...branchExtensions);
-    console.log(`🌿 Added ${branchExtensions.length} branch extension particles`);
-  } catch (error) {
-    console.error('❌ Error extending branches:', error);
-    console.log('⚠️ Continuing without branch extensions');
-  }
+  return generatorWorker;
+}
+
+function generateInWorker(figure, source, seed) {
+  return new Promise((resolve, reject) => {
+    if (typeof Worker === 'undefined') {
+      reject(new WorkerUnavailableError('Web Workers are not supported'));
+      return;
+    }
 
-  // Calculate tree bounds
-  const minY = Math.min(...positions.map(p => p.y));
-  const maxY = Math.max(...positions.map(p => p.y));
-  const treeHeight = maxY - minY;
-
-  // Sapling cutoff: bottom 45% of tree
-  const saplingMaxY = minY + (treeHeight * CONFIG.tree.saplingHeightRange[1]);
-
-  // Filter particles in sapling height range
-  const saplingCandidates = positions.filter(pos => pos.y <= saplingMaxY);
-
-  // Randomly select a subset for sparse sapling (25% of candidates)
-  const saplingParticleCount = Math.floor(saplingCandidates.length * CONFIG.tree.saplingParticleRatio);
-  const shuffled = [...saplingCandidates].sort(() => Math.random() - 0.5);
-  const saplingParticleSet = new Set(shuffled.slice(0, saplingParticleCount));
-
-  // ===== IDENTIFY TOP EDGE PARTICLES AND EXTEND THEM =====
-  // Find particles in the taper zone (top 30% of sapling height)
-  const taperStartY = minY + (treeHeight * CONFIG.tree.saplingHeightRange[1] * CONFIG.tree.saplingTaperStart);
-  const topEdgeParticles = Array.from(saplingParticleSet).filter(pos => pos.y >= taperStartY);
-
-  // Create a map to store Y-extensions for top particles
-  const particleExtensions = new Map();
-  topEdgeParticles.forEach(pos => {
-    // Calculate how close to the top (0 = at taperStart, 1 = at cutoff)
-    const taperProgress = (pos.y - taperStartY) / (saplingMaxY - taperStartY);
-    // More extension for particles closer to the top
-    const maxExtension = CONFIG.tree.saplingTaperExtension * taperProgress;
-    const extension = Math.random() * maxExtension;
-    particleExtensions.set(pos, extension);
+    let worker;
+    try {
+      worker = getGeneratorWorker();
+    } catch (error) {
+      reject(new WorkerUnavailableError(error.message));
+      return;
+    }
+
+    const id = ++generatorJobId;
+    generatorJobs.set(id, { figure, resolve, reject });
+
+    // The pixel / file buffer is transferred, not copied
+    const buffer = source.kind === 'points' ? source.buffer : source.pixels;
+    worker.postMessage({ id, figure, seed, source }, [buffer]);
   });
+}
 
-  console.log(`🌿 Extending ${topEdgeParticles.length} top particles with gradual taper`);
+// ===== BUILD PROGRESS =====
+// Shown in #build-progress and dispatched as a 'figure-progress' event for page code:
+// window.addEventListener('figure-progress', e => console.log(e.detail.stage, e.detail.progress));
+const BUILD_STAGE_LABELS = {
+  sampling: 'SAMPLING',
+  skeleton: 'FINDING LIMBS',
+  roots: 'GROWING ROOTS',
+  branches: 'EXTENDING BRANCHES',
+  sapling: 'PLANTING'
+};
 
-  // Create particle data - ALL at final positions
-  particles = positions.map(pos => {
-    // Final position (all particles here)
-    const finalX = pos.x * CONFIG.tree.displayScale;
-    let finalY = pos.y * CONFIG.tree.displayScale;
-    const finalZ = pos.z * CONFIG.tree.displayScale;
+function reportBuildProgress(figure, stage, progress) {
+  window.dispatchEvent(new CustomEvent('figure-progress', {
+    detail: { figure: figure.name, stage, progress }
+  }));
 
-    // Check if this particle is visible in sapling
-    const isSaplingParticle = saplingParticleSet.has(pos);
+  const progressElement = document.getElementById('build-progress');
+  if (!progressElement) return;
 
-    // Apply Y-extension if this is a top edge particle
-    if (particleExtensions.has(pos)) {
-      finalY += particleExtensions.get(pos) * CONFIG.tree.displayScale;
-    }
+  if (stage === 'done' || stage === 'failed') {
+    progressElement.classList.remove('visible');
+    return;
+  }
 
-    // Calculate normalized Y for bottom-to-top growth (0 = bottom, 1 = top)
-    const normalizedY = (pos.y + 512) / 1024;
+  const percent = stage === 'sampling' ? ` ${Math.round(progress * 100)}%` : '';
+  progressElement.textContent = `${BUILD_STAGE_LABELS[stage] || stage.toUpperCase()}${percent}`;
+  progressElement.classList.add('visible');
+}
 
-    // Calculate distance from center (trunk) - for branch growth
-    // Horizontal distance from center axis
-    const distanceFromCenter = Math.sqrt(pos.x * pos.x + pos.z * pos.z);
+// ===== PARTICLE SYSTEM (Geometry + Shader) =====
+// Positions never change on the CPU: flow, drift and the growth wave are computed in the
+// vertex shader from per-particle attributes and a time uniform.
+// Per frame the CPU only updates uniforms (see updateParticleUniforms). Sparks have their own pool (see SPARK SYSTEM).
+const IDLE_START = -1e4;         // Start time for per-particle animations that aren't running
+const GROWTH_FADE_RANGE = 0.25;  // 25% fade range for smooth transitions
+const SPARK_RAMP_SIZE = 64;      // Texels in the spark color ramp texture
+
+// Wind (see WEATHER & SEASONS): gusts bend the crown - the higher a point, the further it leans.
+// Shared by the particle shader and the weather shaders, so snow and blossoms move with their branch
+const WIND_BEND_SHADER = `
+  uniform vec2 uWind;          // Lean of the figure's top (x, z) right now
+  uniform float uWindBase;     // Height the bend starts at
+  uniform float uWindHeight;   // Height from there to the top
+
+  vec2 windBend(vec3 home) {
+    float height = clamp((home.y - uWindBase) / uWindHeight, 0.0, 1.0);
+    return uWind * height * height;
+  }
+`;
+const WIND_BASE = 0.2;           // Bottom share of the figure that stays still in the wind
 
-    // Normalize distance (0 = center/trunk, 1 = outer branches)
-    // Max distance is roughly 512 pixels (half width of image)
-    const normalizedDistance = Math.min(distanceFromCenter / 512, 1.0);
+// Shared by the animated and static materials: round points in each particle's color
+const PARTICLE_FRAGMENT_SHADER = `
+  varying float vOpacity;
+  varying vec3 vColor;
 
-    // Growth order: combine height (bottom-to-top) and distance (center-to-edge)
-    // Lower values grow first - upside down V (^) starting from roots
-    // Weight: 60% height, 40% distance (so bottom center grows first, then up and out)
-    const growthOrder = normalizedY * 0.6 + normalizedDistance * 0.4;
+  void main() {
+    if (vOpacity < 0.01) discard; // Don't render invisible particles
 
-    return {
-      // Final positions (all particles at final position)
-      originalX: finalX,
-      originalY: finalY,
-      originalZ: finalZ,
-      // Growth properties
-      isSaplingParticle,
-      growthOrder, // Store for trunk-to-branch growth animation
-      currentOpacity: isSaplingParticle ? 1.0 : 0.0, // Sapling visible, rest hidden
-      targetOpacity: 1.0, // Target opacity for growth animation
-      // Animation properties
-      phaseY: Math.random() * Math.PI * 2,
-      phaseX: Math.random() * Math.PI * 2,
-      speedMultiplier: 0.8 + Math.random() * 0.4,
-      flowOffset: Math.random() * CONFIG.tree.flowHeight,
-      driftX: (Math.random() - 0.5) * CONFIG.tree.flowTurbulence,
-      driftZ: (Math.random() - 0.5) * CONFIG.tree.flowTurbulence,
-      // Spark properties
-      isSparking: false,
-      sparkProgress: 0,
-      sparkStartTime: 0,
-      sparkCurvePhase: Math.random() * Math.PI * 2
-    };
-  });
+    // Circular point shape
+    vec2 center = gl_PointCoord - vec2(0.5);
+    float dist = length(center);
+    if (dist > 0.5) discard;
+
+    gl_FragColor = vec4(vColor, vOpacity);
+  }
+`;
 
+function createParticleSystem(particleArray, figure) {
   // Create Three.js geometry - all at final positions
   const geometry = new THREE.BufferGeometry();
-  const positionsArray = new Float32Array(particles.length * 3);
-  const opacityArray = new Float32Array(particles.length);
+  const count = particleArray.length;
+  const positionsArray = new Float32Array(count * 3);
+  const growthOrderArray = new Float32Array(count);
+  const saplingArray = new Float32Array(count);
+  const flowOffsetArray = new Float32Array(count);
+  const driftSeedArray = new Float32Array(count);
+  const colorArray = computeParticleColors(particleArray, figure);
 
-  particles.forEach((particle, i) => {
+  particleArray.forEach((particle, i) => {
     // All particles at final position
     positionsArray[i * 3] = particle.originalX;
     positionsArray[i * 3 + 1] = particle.originalY;
     positionsArray[i * 3 + 2] = particle.originalZ;
 
-    // Opacity: 1 for sapling particles, 0 for hidden
-    opacityArray[i] = particle.currentOpacity;
+    growthOrderArray[i] = particle.growthOrder;
+    saplingArray[i] = particle.isSaplingParticle ? 1.0 : 0.0;
+    flowOffsetArray[i] = particle.flowOffset;
+    driftSeedArray[i] = particle.driftSeed;
   });
 
   geometry.setAttribute('position', new THREE.BufferAttribute(positionsArray, 3));
-  geometry.setAttribute('opacity', new THREE.BufferAttribute(opacityArray, 1));
+  geometry.setAttribute('growthOrder', new THREE.BufferAttribute(growthOrderArray, 1));
+  geometry.setAttribute('sapling', new THREE.BufferAttribute(saplingArray, 1));
+  geometry.setAttribute('flowOffset', new THREE.BufferAttribute(flowOffsetArray, 1));
+  geometry.setAttribute('driftSeed', new THREE.BufferAttribute(driftSeedArray, 1));
+  geometry.setAttribute('particleColor', new THREE.BufferAttribute(colorArray, 3));
+
+  // Pointer displacement, written only for particles that are currently pushed or springing back
+  const interactionAttribute = new THREE.BufferAttribute(new Float32Array(count * 3), 3);
+  interactionAttribute.setUsage(THREE.DynamicDrawUsage);
+  geometry.setAttribute('interactionOffset', interactionAttribute);
+
+  // User Points: 0 = anonymous, 1 = member, 2 = hovered/focused member; memberJoin = fly-in start time
+  const memberStateAttribute = new THREE.BufferAttribute(new Float32Array(count), 1);
+  memberStateAttribute.setUsage(THREE.DynamicDrawUsage);
+  geometry.setAttribute('memberState', memberStateAttribute);
+  const memberJoinAttribute = new THREE.BufferAttribute(new Float32Array(count).fill(IDLE_START), 1);
+  memberJoinAttribute.setUsage(THREE.DynamicDrawUsage);
+  geometry.setAttribute('memberJoin', memberJoinAttribute);
+
+  const particleSystem = new THREE.Points(geometry, createParticleMaterial(figure));
+  setWindRange(particleSystem.material, particleArray);
+  updateParticleUniforms(particleSystem.material);
+  return particleSystem;
+}
 
-  // Create custom shader material for per-particle opacity
-  const material = new THREE.ShaderMaterial({
+// The wind bends everything above the bottom WIND_BASE share of the cloud's height
+function setWindRange(material, particleArray) {
+  let minY = Infinity;
+  let maxY = -Infinity;
+  particleArray.forEach(particle => {
+    minY = Math.min(minY, particle.originalY);
+    maxY = Math.max(maxY, particle.originalY);
+  });
+  const height = maxY - minY || 1;
+  material.uniforms.uWindBase.value = minY + height * WIND_BASE;
+  material.uniforms.uWindHeight.value = height * (1 - WIND_BASE);
+}
+
+// Animated shader material: flow and the growth wave run on the GPU
+function createParticleMaterial(figure) {
+  const colors = getColorSettings(figure);
+  return new THREE.ShaderMaterial({
+    transparent: true,
+    depthTest: true,
+    depthWrite: false,
+    uniforms: {
+      uTime: { value: 0 },                    // Seconds since the engine started
+      uGrowthProgress: { value: 0 },          // 0 = sapling, 1 = fully grown
+      uFlowSapling: { value: 1 },             // Sapling particles flow (before growth)
+      uFlowAll: { value: 0 },                 // Every particle flows (after growth)
+      uFlowSpeed: { value: figure.flow.speed * 60 },   // flow.speed is per frame at 60fps
+      uFlowHeight: { value: figure.flow.height },
+      uTurbulence: { value: figure.flow.turbulence },
+      uWind: { value: new THREE.Vector2() },  // Set per frame from the wind gust (see updateWeather)
+      uWindBase: { value: 0 },                // Set from the cloud's height (see setWindRange)
+      uWindHeight: { value: 1 },
+      uMemberColor: { value: new THREE.Vector3(...parseColor(colors.member)) },
+      uMemberSize: { value: CONFIG.members.size },
+      uHighlightSize: { value: CONFIG.members.highlightSize },
+      uJoinDuration: { value: CONFIG.members.joinDuration },
+      uJoinFrom: { value: new THREE.Vector3(...CONFIG.members.joinFrom) }
+    },
+    vertexShader: `
+      #define PI 3.14159265359
+      #define FADE_RANGE ${GROWTH_FADE_RANGE.toFixed(2)}
+
+      attribute float growthOrder;
+      attribute float sapling;
+      attribute float flowOffset;
+      attribute float driftSeed;
+      attribute vec3 particleColor;
+      attribute vec3 interactionOffset;
+      attribute float memberState;
+      attribute float memberJoin;
+
+      uniform float uTime;
+      uniform float uGrowthProgress;
+      uniform float uFlowSapling;
+      uniform float uFlowAll;
+      uniform float uFlowSpeed;
+      uniform float uFlowHeight;
+      uniform float uTurbulence;
+      uniform vec3 uMemberColor;
+      uniform float uMemberSize;
+      uniform float uHighlightSize;
+      uniform float uJoinDuration;
+      uniform vec3 uJoinFrom;
+      ${WIND_BEND_SHADER}
+
+      varying float vOpacity;
+      varying vec3 vColor;
+
+      float hash(float n) {
+        return fract(sin(n) * 43758.5453123);
+      }
+
+      void main() {
+        // Pointer push/pull (spring simulated on the CPU, see updateInteraction)
+        vec3 home = position + interactionOffset;
+        vec3 pos = home;
+
+        // Trunk-to-branch growth: particles fade in as the wave passes their growthOrder
+        float opacity = 1.0;
+        if (sapling < 0.5 && uGrowthProgress < 1.0) {
+          float growthWave = uGrowthProgress * (1.0 + FADE_RANGE);
+          opacity = clamp((growthWave - growthOrder) / FADE_RANGE, 0.0, 1.0);
+        }
+
+        // Upward flow: rise flowHeight, respawn at the bottom with a new drift direction
+        bool flowing = uFlowAll > 0.5 || (sapling > 0.5 && uFlowSapling > 0.5);
+        if (flowing) {
+          float travel = flowOffset + uTime * uFlowSpeed;
+          float cycle = floor(travel / uFlowHeight);
+          pos.x += (hash(driftSeed * 91.7 + cycle * 12.9898) - 0.5) * uTurbulence;
+          pos.y += travel - cycle * uFlowHeight;
+          pos.z += (hash(driftSeed * 47.3 + cycle * 78.233) - 0.5) * uTurbulence;
+        }
+
+        // Wind gusts lean the crown on top of the drift
+        pos.xz += windBend(home);
+
+        // User Points stand out in the member color
+        vec3 color = particleColor;
+        float size = 1.0;
+        if (memberState > 0.5) {
+          color = uMemberColor;
+          size = memberState > 1.5 ? uHighlightSize : uMemberSize;
+        }
+
+        // New member: arc in from uJoinFrom and land at home, visible even before the figure has grown
+        float joinProgress = (uTime - memberJoin) / uJoinDuration;
+        if (joinProgress >= 0.0 && joinProgress < 1.0) {
+          float eased = 1.0 - pow(1.0 - joinProgress, 3.0);
+          pos = mix(uJoinFrom, home, eased);
+          pos.z += sin(eased * PI) * 60.0;
+          size *= 1.0 + (1.0 - eased) * 1.5;
+          opacity = 1.0;
+        }
+
+        vOpacity = opacity;
+        vColor = color;
+        vec4 mvPosition = modelViewMatrix * vec4(pos, 1.0);
+        gl_PointSize = ${figure.particleSize.toFixed(1)} * size * (300.0 / -mvPosition.z);
+        gl_Position = projectionMatrix * mvPosition;
+      }
+    `,
+    fragmentShader: PARTICLE_FRAGMENT_SHADER
+  });
+}
+
+// Static material for clouds whose positions and opacities are written from JS (figure morphs)
+function createStaticParticleMaterial(figure) {
+  return new THREE.ShaderMaterial({
     transparent: true,
     depthTest: true,
     depthWrite: false,
     vertexShader: `
       attribute float opacity;
+      attribute vec3 particleColor;
       varying float vOpacity;
+      varying vec3 vColor;
 
       void main() {
         vOpacity = opacity;
+        vColor = particleColor;
         vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
-        gl_PointSize = ${CONFIG.tree.particleSize.toFixed(1)} * (300.0 / -mvPosition.z);
+        gl_PointSize = ${figure.particleSize.toFixed(1)} * (300.0 / -mvPosition.z);
         gl_Position = projectionMatrix * mvPosition;
       }
     `,
-    fragmentShader: `
+    fragmentShader: PARTICLE_FRAGMENT_SHADER
+  });
+}
+
+// Spark pool material: each pooled spark pops out of the point it was emitted from,
+// then floats upward in a curvy path and fades (timing in sparkStart, see tree-sparks.js)
+function createSparkMaterial(figure) {
+  const sparkRamp = getColorSettings(figure).sparkRamp;
+  return new THREE.ShaderMaterial({
+    transparent: true,
+    depthTest: true,
+    depthWrite: false,
+    uniforms: {
+      uTime: { value: getAnimationTime() },   // Same clock as the particle material
+      uSparkDuration: { value: figure.sparks.fadeDuration / 1000 },
+      uPopIntensity: { value: figure.sparks.popIntensity },
+      uFloatHeight: { value: figure.sparks.floatHeight },
+      uCurveAmplitude: { value: figure.sparks.curveAmplitude },
+      uCurveFrequency: { value: figure.sparks.curveFrequency },
+      uOpacityBoost: { value: figure.sparks.opacityBoost },
+      uSparkRamp: { value: createRampTexture(sparkRamp) },   // Spark color over its life (see figure.color.sparkRamp)
+      uUseSparkRamp: { value: sparkRamp ? 1 : 0 }
+    },
+    vertexShader: `
+      #define PI 3.14159265359
+
+      attribute vec3 sparkColor;
+      attribute float sparkStart;
+      attribute float sparkPhase;
+
+      uniform float uTime;
+      uniform float uSparkDuration;
+      uniform float uPopIntensity;
+      uniform float uFloatHeight;
+      uniform float uCurveAmplitude;
+      uniform float uCurveFrequency;
+      uniform float uOpacityBoost;
+      uniform sampler2D uSparkRamp;
+      uniform float uUseSparkRamp;
+
       varying float vOpacity;
+      varying vec3 vColor;
 
       void main() {
-        if (vOpacity < 0.01) discard; // Don't render invisible particles
+        // Free slots (and sparks that burned out) stay invisible
+        float sparkProgress = (uTime - sparkStart) / uSparkDuration;
+        float opacity = 0.0;
+        vec3 offset = vec3(0.0);
+
+        // Quick "pop" outward (first 10%), then float upward in a curvy path
+        if (sparkProgress >= 0.0 && sparkProgress < 1.0) {
+          if (sparkProgress < 0.1) {
+            float popDistance = uPopIntensity * sin(sparkProgress / 0.1 * PI);
+            offset = vec3(cos(sparkPhase) * popDistance, popDistance * 0.5, sin(sparkPhase) * popDistance);
+          } else {
+            float floatProgress = (sparkProgress - 0.1) / 0.9;
+            float curveOffset = floatProgress * uCurveFrequency * PI * 2.0;
+            offset = vec3(
+              sin(sparkPhase + curveOffset) * uCurveAmplitude,
+              floatProgress * uFloatHeight,
+              cos(sparkPhase + curveOffset) * uCurveAmplitude * 0.5
+            );
+          }
+
+          // Fade out as it floats up, boosted for brighter sparks
+          float fadeProgress = max(0.0, (sparkProgress - 0.1) / 0.9);
+          opacity = min((1.0 - fadeProgress) * uOpacityBoost, 1.0);
+        }
 
-        // Circular point shape
-        vec2 center = gl_PointCoord - vec2(0.5);
-        float dist = length(center);
-        if (dist > 0.5) discard;
+        // Embers cool down as they rise
+        vec3 color = sparkColor;
+        if (uUseSparkRamp > 0.5) {
+          color = texture2D(uSparkRamp, vec2(clamp(sparkProgress, 0.0, 1.0), 0.5)).rgb;
+        }
 
-        // Very dark gray - slightly lighter than pure black (RGB: 25, 25, 25)
-        vec3 particleColor = vec3(0.1, 0.1, 0.1);
-        gl_FragColor = vec4(particleColor, vOpacity);
+        vOpacity = opacity;
+        vColor = color;
+        vec4 mvPosition = modelViewMatrix * vec4(position + offset, 1.0);
+        gl_PointSize = ${figure.particleSize.toFixed(1)} * (300.0 / -mvPosition.z);
+        gl_Position = projectionMatrix * mvPosition;
       }
-    `
+    `,
+    fragmentShader: PARTICLE_FRAGMENT_SHADER
   });
+}
 
-  // Create and add point cloud to scene
-  particleSystem = new THREE.Points(geometry, material);
-  scene.add(particleSystem);
+// The only per-frame CPU work for the cloud
+function updateParticleUniforms(material) {
+  const uniforms = material.uniforms;
+  uniforms.uTime.value = getAnimationTime();
+  uniforms.uGrowthProgress.value = growthProgress;
+  uniforms.uFlowSapling.value = saplingAnimationEnabled ? 1 : 0;
+  uniforms.uFlowAll.value = flowAnimationEnabled ? 1 : 0;
+  uniforms.uWind.value.set(wind.x, wind.z);
+}
 
-  console.log('✅ Point cloud added to scene');
-  return particleSystem;
+// Seconds since the engine started (same clock as the shader's uTime)
+function getAnimationTime() {
+  return (performance.now() - animationStart) / 1000;
 }
 
-// ===== GROWTH ANIMATION =====
-function growTree() {
-  if (isGrown) return; // Already grown
+// CPU copy of the shader's growth-wave opacity, for code that needs to know what's on screen
+function getGrowthOpacity(particle, progress = growthProgress) {
+  if (particle.isSaplingParticle || progress >= 1.0) return 1.0;
+  const growthWave = progress * (1.0 + GROWTH_FADE_RANGE);
+  return Math.min(Math.max((growthWave - particle.growthOrder) / GROWTH_FADE_RANGE, 0.0), 1.0);
+}
 
-  console.log('🌱 Starting tree growth animation...');
-  isGrown = true;
-  saplingAnimationEnabled = false; // Stop sapling animation
-  flowAnimationEnabled = true; // Start full tree flow animation
+// Frees a cloud's (or the spark pool's) GPU buffers, shader and spark ramp texture
+function disposeParticleSystem(system) {
+  system.geometry.dispose();
+  system.material.dispose();
+  const sparkRamp = system.material.uniforms?.uSparkRamp?.value;
+  if (sparkRamp) sparkRamp.dispose();
+}
+
+// ===== PARTICLE COLORS =====
+// Figure color settings with the active theme's overrides applied (e.g. figure.color.dark)
+function getColorSettings(figure, theme = activeTheme) {
+  return { ...figure.color, ...figure.color[theme] };
+}
 
-  // Start sparks immediately when growth begins
-  sparksEnabled = true;
-  startSparkSystem();
+// Per-particle RGB (0-1) for the particleColor attribute, following figure.color.mode:
+// 'auto'/'source' use the particle's own color (imported clouds, or image pixels with 'source') and fall back to base,
+// 'solid' ignores it, 'height' and 'growth' read the ramp by normalized height or growthOrder
+function computeParticleColors(particleArray, figure) {
+  const settings = getColorSettings(figure);
+  const base = parseColor(settings.base);
+  const ramp = settings.ramp ? parseRamp(settings.ramp) : null;
+  const colors = new Float32Array(particleArray.length * 3);
+
+  let minY = Infinity;
+  let maxY = -Infinity;
+  if (settings.mode === 'height') {
+    particleArray.forEach(particle => {
+      minY = Math.min(minY, particle.originalY);
+      maxY = Math.max(maxY, particle.originalY);
+    });
+  }
+  const heightRange = maxY - minY || 1;
 
-  const startTime = performance.now();
-  const duration = CONFIG.tree.growthDuration * 1000; // Convert to milliseconds
+  particleArray.forEach((particle, i) => {
+    let color = base;
+    if (settings.mode === 'height' && ramp) {
+      color = sampleRamp(ramp, (particle.originalY - minY) / heightRange);
+    } else if (settings.mode === 'growth' && ramp) {
+      color = sampleRamp(ramp, particle.growthOrder);
+    } else if (settings.mode !== 'solid' && particle.color) {
+      color = particle.color;
+    }
+    colors[i * 3] = color[0];
+    colors[i * 3 + 1] = color[1];
+    colors[i * 3 + 2] = color[2];
+  });
 
-  function animateGrowth() {
-    const elapsed = performance.now() - startTime;
-    const progress = Math.min(elapsed / duration, 1.0);
+  return colors;
+}
 
-    if (!particleSystem || particles.length === 0) return;
+// Recolors the live cloud in place (theme switch) - no regeneration, animation keeps running
+function refreshParticleColors() {
+  const colorAttribute = particleSystem.geometry.attributes.particleColor;
+  colorAttribute.array.set(computeParticleColors(particles, activeFigure));
+  colorAttribute.needsUpdate = true;
+
+  const colors = getColorSettings(activeFigure);
+  particleSystem.material.uniforms.uMemberColor.value.set(...parseColor(colors.member));
+
+  // Sparks already flying keep the color they were emitted with; the ramp changes right away
+  if (sparkPool) {
+    const sparkUniforms = sparkPool.material.uniforms;
+    if (sparkUniforms.uSparkRamp.value) sparkUniforms.uSparkRamp.value.dispose();
+    sparkUniforms.uSparkRamp.value = createRampTexture(colors.sparkRamp);
+    sparkUniforms.uUseSparkRamp.value = colors.sparkRamp ? 1 : 0;
+  }
+}
 
-    const opacityArray = particleSystem.geometry.attributes.opacity.array;
+// '#rgb', '#rrggbb' or [r, g, b] (0-1) → [r, g, b]
+// Parsed by hand: THREE.Color would convert to linear, but the shaders write colors as-is
+function parseColor(value) {
+  if (Array.isArray(value)) return value;
 
-    particles.forEach((particle, i) => {
-      if (particle.isSaplingParticle) {
-        // Sapling stays visible
-        particle.currentOpacity = 1.0;
-      } else {
-        // Trunk-to-branch growth: particles fade in based on growthOrder
-        // Growth wave moves from 0 (bottom/center) to 1 (top/edges)
-        // Add a fade range so particles fade in smoothly
-        const fadeRange = 0.25; // 25% fade range for smooth transitions
-        const growthWave = progress * (1.0 + fadeRange); // Wave position
-
-        // Calculate how far this particle is from the growth wave
-        const distanceFromWave = growthWave - particle.growthOrder;
-
-        // Fade in when wave reaches this particle
-        if (distanceFromWave < 0) {
-          // Wave hasn't reached this particle yet
-          particle.currentOpacity = 0.0;
-        } else if (distanceFromWave < fadeRange) {
-          // Particle is in the fade zone - gradually appear
-          particle.currentOpacity = distanceFromWave / fadeRange;
-        } else {
-          // Wave has passed - fully visible
-          particle.currentOpacity = 1.0;
-        }
-      }
+  let hex = String(value).replace('#', '');
+  if (hex.length === 3) {
+    hex = hex.split('').map(digit => digit + digit).join('');
+  }
+  const number = parseInt(hex, 16);
+  if (hex.length !== 6 || Number.isNaN(number)) {
+    throw new Error(`Invalid color "${value}" (use '#rrggbb' or [r, g, b])`);
+  }
+  return [(number >> 16 & 255) / 255, (number >> 8 & 255) / 255, (number & 255) / 255];
+}
+
+// [{ at, color }] → stops sorted by position with parsed colors
+function parseRamp(stops) {
+  return stops
+    .map(stop => ({ at: stop.at, color: parseColor(stop.color) }))
+    .sort((a, b) => a.at - b.at);
+}
+
+// Linear blend between the two stops around t (clamped to the first/last stop)
+function sampleRamp(stops, t) {
+  if (t <= stops[0].at) return stops[0].color;
+  for (let i = 1; i < stops.length; i++) {
+    const next = stops[i];
+    if (t <= next.at) {
+      const previous = stops[i - 1];
+      const blend = (t - previous.at) / (next.at - previous.at || 1);
+      return previous.color.map((channel, c) => channel + (next.color[c] - channel) * blend);
+    }
+  }
+  return stops[stops.length - 1].color;
+}
+
+// Bakes a ramp into a 1-pixel-high texture the vertex shader can sample (null = no ramp)
+function createRampTexture(stops) {
+  if (!stops) return null;
+
+  const ramp = parseRamp(stops);
+  const data = new Uint8Array(SPARK_RAMP_SIZE * 4);
+  for (let i = 0; i < SPARK_RAMP_SIZE; i++) {
+    const color = sampleRamp(ramp, i / (SPARK_RAMP_SIZE - 1));
+    data[i * 4] = Math.round(color[0] * 255);
+    data[i * 4 + 1] = Math.round(color[1] * 255);
+    data[i * 4 + 2] = Math.round(color[2] * 255);
+    data[i * 4 + 3] = 255;
+  }
+
+  const texture = new THREE.DataTexture(data, SPARK_RAMP_SIZE, 1, THREE.RGBAFormat);
+  texture.magFilter = THREE.LinearFilter;
+  texture.minFilter = THREE.LinearFilter;
+  texture.wrapS = THREE.ClampToEdgeWrapping;
+  texture.needsUpdate = true;
+  return texture;
+}
+
+// The figure on screen: its image backs the hidden <img>, its growth duration paces the timeline
+function setActiveFigure(figure) {
+  activeFigure = figure;
+  growthTimeline.duration = figure.growth.duration;
+  if (treeImageElement && figure.image) {
+    treeImageElement.src = figure.image;
+  }
+}
+
+// ===== LOAD FIGURE BY NAME =====
+// Replaces the current point cloud with any registered figure
+// Page code can import this: import { loadFigure } from './tree-engine.js';
+// Shares morphToFigure's guard: ignored while a load or morph is running
+export async function loadFigure(name) {
+  if (isMorphing) {
+    console.warn('⚠️ Figure change already running, ignoring request');
+    return null;
+  }
+
+  isMorphing = true;
+  try {
+    return await swapFigure(name);
+  } finally {
+    isMorphing = false;
+  }
+}
+
+// Disposes the current cloud and builds the named figure's in its place
+async function swapFigure(name) {
+  const figure = getFigure(name);
+
+  let figureParticles;
+  try {
+    figureParticles = await loadFigureParticles(figure);
+  } catch (error) {
+    console.error(`❌ Failed to load figure "${name}":`, error);
+    throw error;
+  }
+
+  setActiveFigure(figure);
+
+  // Dispose the previous cloud before building the new one
+  if (particleSystem) {
+    scene.remove(particleSystem);
+    disposeParticleSystem(particleSystem);
+    particleSystem = null;
+  }
+
+  // A grown tree stays grown: the shared growthProgress uniform shows every particle of the new figure
+  const pointCloud = figureParticles ? createPointCloud(figureParticles, figure) : null;
 
-      // Update opacity attribute
-      opacityArray[i] = particle.currentOpacity;
+  console.log(`✅ Figure "${name}" loaded`);
+  return pointCloud;
+}
+
+export { listFigures } from './tree-figures.js';
+export { registerGrowthPattern, listGrowthPatterns, perPoint } from './tree-growth-patterns.js';
+
+// ===== IMPORT POINT CLOUD =====
+// Registers an external PLY / XYZ / PCD cloud as a figure and shows it
+// source: URL or File/Blob; options: figure settings (sampling.upAxis, growth, sparks, ...),
+// name (defaults to the file name) and morph: true to morph into it instead of swapping
+// Page code: importPointCloud(fileInput.files[0], { sampling: { upAxis: 'z' } });
+export async function importPointCloud(source, { name, morph = false, ...figureOptions } = {}) {
+  const fileName = typeof source === 'string' ? source : source.name || 'imported';
+  const figureName = name || fileName.split(/[?#]/)[0].split('/').pop().replace(/\.[^.]+$/, '');
+
+  // Scans have no trunk to grow roots or branch tips from
+  registerFigure(figureName, {
+    ...figureOptions,
+    points: source,
+    growth: { extendRoots: false, extendBranches: false, ...figureOptions.growth }
+  });
+
+  return morph ? morphToFigure(figureName) : loadFigure(figureName);
+}
+
+// ===== EXPORT CLOUD =====
+// Saves the current cloud (resting positions, growthOrder, sapling flags and colors) to take into
+// other tools, or to ship as a figure's precomputed `cloud` so visitors skip generation
+// format: 'ply' (binary PLY) or 'json' (compact base64 JSON), see tree-cloud-io.js
+export function exportCloud(format = 'ply') {
+  if (particles.length === 0) {
+    throw new Error('No point cloud to export yet');
+  }
+
+  const cloud = packParticles(particles);
+  const meta = { figure: activeFigure.name, seed: getSeed() };
+
+  if (format === 'ply') {
+    return new Blob([encodePLY(cloud, meta)], { type: 'application/octet-stream' });
+  }
+  if (format === 'json') {
+    return new Blob([encodeCloudJSON(cloud, meta)], { type: 'application/json' });
+  }
+  throw new Error(`Unknown cloud format "${format}" (use 'ply' or 'json')`);
+}
+
+// exportCloud as a file download, e.g. tree-1234567.ply
+export function downloadCloud(format = 'ply') {
+  const url = URL.createObjectURL(exportCloud(format));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${activeFigure.name}-${getSeed()}.${format}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Particle objects -> the generator's packed format
+function packParticles(particleArray) {
+  const count = particleArray.length;
+  const positions = new Float32Array(count * 3);
+  const growthOrder = new Float32Array(count);
+  const sapling = new Uint8Array(count);
+  const colors = particleArray[0].color ? new Float32Array(count * 3) : null;
+
+  particleArray.forEach((particle, i) => {
+    positions[i * 3] = particle.originalX;
+    positions[i * 3 + 1] = particle.originalY;
+    positions[i * 3 + 2] = particle.originalZ;
+    growthOrder[i] = particle.growthOrder;
+    sapling[i] = particle.isSaplingParticle ? 1 : 0;
+    if (colors) colors.set(particle.color, i * 3);
+  });
+
+  return { count, positions, growthOrder, sapling, colors };
+}
+
+// ===== FIGURE MORPHING =====
+// Morphs the current cloud into another registered figure without a page reload:
+// 1. Build the target figure's particles (its precomputed cloud, or resampled from its image)
+// 2. Pair source and target particles by position (extras spawn in or retire)
+// 3. Tween positions and opacities with gsap, then swap in the target cloud
+export async function morphToFigure(name, options = {}) {
+  if (isMorphing) {
+    console.warn('⚠️ Morph already running, ignoring request');
+    return null;
+  }
+  if (!particleSystem) {
+    return loadFigure(name);
+  }
+
+  // Claimed before loading the target so a second call can't slip in during the await
+  isMorphing = true;
+  try {
+    return await runMorph(name, options);
+  } finally {
+    isMorphing = false;
+  }
+}
+
+// Tweens the current cloud into the named figure's (morphToFigure holds the guard)
+async function runMorph(name, options) {
+  const settings = { ...CONFIG.morph, ...options };
+  const figure = getFigure(name);
+  const targetParticles = await loadFigureParticles(figure);
+  if (!targetParticles) return null;
+
+  console.log(`🔀 Morphing ${activeFigure.name} (${particles.length}) → ${figure.name} (${targetParticles.length})`);
+
+  // Start from the resting cloud (flow and spark offsets only exist on the GPU)
+  const sourcePositions = particleSystem.geometry.attributes.position.array;
+  const sourceColors = particleSystem.geometry.attributes.particleColor.array;
+  const targetColors = computeParticleColors(targetParticles, figure);
+  const pairs = matchParticles(particles, targetParticles, settings.matchRows);
+
+  const count = pairs.length;
+  const startPositions = new Float32Array(count * 3);
+  const endPositions = new Float32Array(count * 3);
+  const startOpacity = new Float32Array(count);
+  const endOpacity = new Float32Array(count);
+  const startColors = new Float32Array(count * 3);
+  const endColors = new Float32Array(count * 3);
+  const delays = new Float32Array(count);
+
+  pairs.forEach(({ source, target, spawn, retire }, i) => {
+    const targetParticle = targetParticles[target];
+    startPositions[i * 3] = sourcePositions[source * 3];
+    startPositions[i * 3 + 1] = sourcePositions[source * 3 + 1];
+    startPositions[i * 3 + 2] = sourcePositions[source * 3 + 2];
+    endPositions[i * 3] = targetParticle.originalX;
+    endPositions[i * 3 + 1] = targetParticle.originalY;
+    endPositions[i * 3 + 2] = targetParticle.originalZ;
+
+    // Spawned particles fade in from their source, retired ones fade out at their target
+    // Grown figures morph into a grown figure, saplings into a sapling
+    startOpacity[i] = spawn ? 0.0 : getGrowthOpacity(particles[source]);
+    endOpacity[i] = retire ? 0.0 : getGrowthOpacity(targetParticle);
+
+    // Colors blend too (spawned particles take their target color straight away)
+    const startColorSource = spawn ? targetColors : sourceColors;
+    const startIndex = spawn ? target : source;
+    for (let c = 0; c < 3; c++) {
+      startColors[i * 3 + c] = startColorSource[startIndex * 3 + c];
+      endColors[i * 3 + c] = targetColors[target * 3 + c];
+    }
+
+    delays[i] = Math.min(Math.max(targetParticle.growthOrder, 0), 1) * settings.stagger;
+  });
+
+  // Temporary cloud that carries the in-between frames
+  const morphGeometry = new THREE.BufferGeometry();
+  morphGeometry.setAttribute('position', new THREE.BufferAttribute(startPositions.slice(), 3));
+  morphGeometry.setAttribute('opacity', new THREE.BufferAttribute(startOpacity.slice(), 1));
+  morphGeometry.setAttribute('particleColor', new THREE.BufferAttribute(startColors.slice(), 3));
+  const morphSystem = new THREE.Points(morphGeometry, createStaticParticleMaterial(figure));
+
+  const previousSystem = particleSystem;
+  scene.remove(previousSystem);
+  scene.add(morphSystem);
+
+  const positionsArray = morphGeometry.attributes.position.array;
+  const opacityArray = morphGeometry.attributes.opacity.array;
+  const colorArray = morphGeometry.attributes.particleColor.array;
+  const span = 1 - settings.stagger;
+  const state = { progress: 0 };
+
+  await new Promise(resolve => {
+    gsap.to(state, {
+      progress: 1,
+      duration: settings.duration,
+      ease: settings.ease,
+      onUpdate: () => {
+        for (let i = 0; i < count; i++) {
+          const local = Math.min(Math.max((state.progress - delays[i]) / span, 0), 1);
+          const t = local * local * (3 - 2 * local); // Smoothstep per particle
+
+          positionsArray[i * 3] = startPositions[i * 3] + (endPositions[i * 3] - startPositions[i * 3]) * t;
+          positionsArray[i * 3 + 1] = startPositions[i * 3 + 1] + (endPositions[i * 3 + 1] - startPositions[i * 3 + 1]) * t;
+          positionsArray[i * 3 + 2] = startPositions[i * 3 + 2] + (endPositions[i * 3 + 2] - startPositions[i * 3 + 2]) * t;
+          opacityArray[i] = startOpacity[i] + (endOpacity[i] - startOpacity[i]) * t;
+          colorArray[i * 3] = startColors[i * 3] + (endColors[i * 3] - startColors[i * 3]) * t;
+          colorArray[i * 3 + 1] = startColors[i * 3 + 1] + (endColors[i * 3 + 1] - startColors[i * 3 + 1]) * t;
+          colorArray[i * 3 + 2] = startColors[i * 3 + 2] + (endColors[i * 3 + 2] - startColors[i * 3 + 2]) * t;
+        }
+        morphGeometry.attributes.position.needsUpdate = true;
+        morphGeometry.attributes.opacity.needsUpdate = true;
+        morphGeometry.attributes.particleColor.needsUpdate = true;
+      },
+      onComplete: resolve,
+      onInterrupt: resolve       // A killed tween still swaps in the target cloud
     });
+  });
 
-    particleSystem.geometry.attributes.opacity.needsUpdate = true;
+  // Swap the temporary cloud for the real target cloud
+  scene.remove(morphSystem);
+  morphGeometry.dispose();
+  morphSystem.material.dispose();
+  disposeParticleSystem(previousSystem);
 
-    if (progress < 1.0) {
-      requestAnimationFrame(animateGrowth);
-    } else {
-      console.log('✅ Tree growth complete!');
-      // Make sure all particles are fully visible
-      particles.forEach((particle, i) => {
-        particle.currentOpacity = 1.0;
-        opacityArray[i] = 1.0;
-      });
-      particleSystem.geometry.attributes.opacity.needsUpdate = true;
+  setActiveFigure(figure);
+  particles = targetParticles;
+  particleSystem = createParticleSystem(particles, figure);
+  scene.add(particleSystem);
+  bindSparkEmitter(figure);
+  bindWeather(figure);
 
-      // Sparks already enabled at start of growth
+  console.log(`✅ Morph to "${name}" complete`);
+  return particleSystem;
+}
+
+// Pair source and target particles so each moves a short way
+// Both sets are ordered along a serpentine path through height bands of their own bounds,
+// then ranks are matched; the smaller set's particles are reused for the extras.
+// Returns [{ source, target, spawn, retire }] with one entry per particle of the larger set
+function matchParticles(sourceParticles, targetParticles, rows) {
+  const sourceOrder = orderByBands(sourceParticles, rows);
+  const targetOrder = orderByBands(targetParticles, rows);
+  const sourceCount = sourceOrder.length;
+  const targetCount = targetOrder.length;
+  const pairs = [];
+
+  if (targetCount >= sourceCount) {
+    // Extra targets spawn from the source particle that shares their rank
+    let lastSource = -1;
+    for (let j = 0; j < targetCount; j++) {
+      const rank = Math.floor(j * sourceCount / targetCount);
+      pairs.push({ source: sourceOrder[rank], target: targetOrder[j], spawn: rank === lastSource, retire: false });
+      lastSource = rank;
+    }
+  } else {
+    // Extra sources retire into the target particle that shares their rank
+    let lastTarget = -1;
+    for (let i = 0; i < sourceCount; i++) {
+      const rank = Math.floor(i * targetCount / sourceCount);
+      pairs.push({ source: sourceOrder[i], target: targetOrder[rank], spawn: false, retire: rank === lastTarget });
+      lastTarget = rank;
     }
   }
 
-  animateGrowth();
+  return pairs;
 }
 
-// ===== SPARK SYSTEM (Fireplace Effect) =====
-function startSparkSystem() {
-  console.log('🔥 Starting spark system...');
-
-  // Find particles in the root area (bottom 20% of tree)
-  const sortedByY = [...particles].sort((a, b) => a.originalY - b.originalY);
-  const minY = sortedByY[0].originalY;
-  const maxY = sortedByY[sortedByY.length - 1].originalY;
-  const treeHeight = maxY - minY;
-  const rootThreshold = minY + treeHeight * 0.2; // Bottom 20% = roots
-
-  const rootParticles = particles
-    .map((p, index) => ({ particle: p, index }))
-    .filter(({ particle }) => particle.originalY <= rootThreshold);
-
-  console.log(`🌱 Found ${rootParticles.length} root particles for extra sparks`);
-
-  // Find outer edge particles (farthest from center horizontally)
-  // Calculate horizontal distance from center for each particle
-  const particlesWithDistance = particles.map((p, index) => {
-    const horizontalDistance = Math.sqrt(p.originalX * p.originalX + p.originalZ * p.originalZ);
-    return { particle: p, index, horizontalDistance };
+// Particle indices sorted bottom-to-top in bands, alternating left/right per band
+function orderByBands(particleArray, rows) {
+  let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+  particleArray.forEach(p => {
+    if (p.originalX < minX) minX = p.originalX;
+    if (p.originalX > maxX) maxX = p.originalX;
+    if (p.originalY < minY) minY = p.originalY;
+    if (p.originalY > maxY) maxY = p.originalY;
+  });
+  const width = maxX - minX || 1;
+  const height = maxY - minY || 1;
+
+  const keys = new Float64Array(particleArray.length);
+  particleArray.forEach((p, i) => {
+    const row = Math.min(Math.floor((p.originalY - minY) / height * rows), rows - 1);
+    const nx = (p.originalX - minX) / width;
+    keys[i] = row + (row % 2 === 0 ? nx : 1 - nx) * 0.999;
   });
 
-  // Sort by horizontal distance and take the outer 30% (farthest from center)
-  const sortedByDistance = [...particlesWithDistance].sort((a, b) => b.horizontalDistance - a.horizontalDistance);
-  const outerThreshold = Math.floor(sortedByDistance.length * 0.3); // Top 30% farthest particles
-  const outerParticles = sortedByDistance.slice(0, outerThreshold);
+  return Array.from(particleArray.keys()).sort((a, b) => keys[a] - keys[b]);
+}
 
-  console.log(`🌿 Found ${outerParticles.length} outer edge particles for extra sparks`);
+// ===== GROWTH ANIMATION =====
+// The sapling → growth → sparks sequence is a GrowthTimeline (tree-timeline.js) ticked by animate().
+// Page code can drive and watch it: growthTimeline.pause(), .reverse(), .seek(0.5), .setSpeed(2),
+// growthTimeline.addEventListener('growthComplete', ...)
+// Its duration follows the active figure's growth.duration (see setActiveFigure)
+export const growthTimeline = new GrowthTimeline(getFigure(CONFIG.figure).growth.duration);
 
-  // General sparks (anywhere on tree) - 150 per second
-  setInterval(() => {
-    if (!sparksEnabled || particles.length === 0) return;
+function growTree() {
+  growthTimeline.play();
+}
 
-    // Pick a random particle to spark
-    const randomIndex = Math.floor(Math.random() * particles.length);
-    const particle = particles[randomIndex];
+// Only the growthProgress uniform moves; the shader fades particles in along growthOrder
+growthTimeline.addEventListener('growthProgress', ({ detail }) => {
+  growthProgress = detail.progress;
+  applyGrowthState();
+});
 
-    // Don't spark if already sparking
-    if (particle.isSparking) return;
+growthTimeline.addEventListener('growthStart', () => {
+  console.log('🌱 Starting tree growth animation...');
+  applyGrowthState();
+});
+
+growthTimeline.addEventListener('growthComplete', () => {
+  console.log('✅ Tree growth complete!');
+});
+
+growthTimeline.addEventListener('growthReset', () => {
+  console.log('🌱 Back to a sapling');
+  applyGrowthState();
+});
+
+// Sapling flow while at progress 0; from the moment growth starts the whole tree flows and sparks
+function applyGrowthState() {
+  const growing = growthProgress > 0 || growthTimeline.playing;
+  saplingAnimationEnabled = !growing;
+  flowAnimationEnabled = growing;
+
+  const emitters = [...weatherEffects.values()].map(effect => effect.emitter);
+  if (!sparkEmitter.disposed) emitters.push(sparkEmitter);
+  emitters.forEach(emitter => {
+    if (growing) {
+      emitter.start();
+    } else {
+      emitter.stop();
+    }
+  });
+}
 
-    // Start the spark
-    particle.isSparking = true;
-    particle.sparkProgress = 0;
-    particle.sparkStartTime = performance.now();
-  }, CONFIG.sparks.frequency);
+// ===== SPARK SYSTEM (Fireplace Effect) =====
+// Sparks fly from a pool of their own particles (tree-sparks.js), so the figure keeps every point.
+// The emitter is rebound to each new cloud; its 'all', 'roots' and 'outer' regions follow the
+// figure's sparks.rates, and page code can add its own regions or stop sparks entirely:
+// sparkEmitter.addRegion('crown', { rate: 30, select: particles => [...] }); sparkEmitter.stop();
+export const sparkEmitter = new SparkEmitter(CONFIG.sparks.poolSize);
+
+const BUILT_IN_SPARK_REGIONS = {
+  all: selectAll,
+  roots: selectRoots(0.2),       // Bottom 20% of the figure
+  outer: selectOuterEdge(0.3)    // Farthest 30% from the center horizontally
+};
 
-  // Root-specific sparks - 50 per second (every 20ms)
-  setInterval(() => {
-    if (!sparksEnabled || rootParticles.length === 0) return;
+// dispose() removes the pool from the scene for good
+sparkEmitter.addEventListener('dispose', () => {
+  if (!sparkPool) return;
+  scene.remove(sparkPool);
+  disposeParticleSystem(sparkPool);
+  sparkPool = null;
+  console.log('🔥 Spark system disposed');
+});
+
+// Point the emitter at the cloud on screen and apply the figure's spark settings
+function bindSparkEmitter(figure) {
+  if (sparkEmitter.disposed) return;
+
+  const rates = figure.sparks.rates || {};
+  Object.entries(BUILT_IN_SPARK_REGIONS).forEach(([name, select]) => {
+    sparkEmitter.addRegion(name, { rate: rates[name] || 0, select });
+  });
+  sparkEmitter.duration = figure.sparks.fadeDuration / 1000;
+  sparkEmitter.bind(particles, getSparkSource, createRandom(deriveSeed(getSeed(), 'sparks')));
 
-    // Pick a random root particle to spark
-    const randomRootIndex = Math.floor(Math.random() * rootParticles.length);
-    const { particle } = rootParticles[randomRootIndex];
+  // The pool's shader bakes in the figure's particle size, so each figure gets a fresh material
+  if (!sparkPool) {
+    sparkPool = createSparkPool(sparkEmitter);
+    scene.add(sparkPool);
+  } else {
+    sparkPool.material.dispose();
+    const sparkRamp = sparkPool.material.uniforms.uSparkRamp.value;
+    if (sparkRamp) sparkRamp.dispose();
+  }
+  sparkPool.material = createSparkMaterial(figure);
 
-    // Don't spark if already sparking
-    if (particle.isSparking) return;
+  console.log(`🔥 Sparks: ${Object.entries(rates).map(([name, rate]) => `${name} ${rate}/s`).join(', ')}`);
+}
 
-    // Start the spark
-    particle.isSparking = true;
-    particle.sparkProgress = 0;
-    particle.sparkStartTime = performance.now();
-  }, 20); // 50 sparks per second from roots
+// Points drawing a SparkEmitter's pool (sparks and weather effects); the buffers are the emitter's
+// own arrays, and only the slots it wrote are re-uploaded (see uploadPoolSlots)
+function createSparkPool(emitter) {
+  const geometry = new THREE.BufferGeometry();
+  const addAttribute = (name, array, itemSize) => {
+    const attribute = new THREE.BufferAttribute(array, itemSize);
+    attribute.setUsage(THREE.DynamicDrawUsage);
+    geometry.setAttribute(name, attribute);
+  };
+  addAttribute('position', emitter.positions, 3);
+  addAttribute('sparkColor', emitter.colors, 3);
+  addAttribute('sparkStart', emitter.starts, 1);
+  addAttribute('sparkPhase', emitter.phases, 1);
+
+  const pool = new THREE.Points(geometry);
+  pool.frustumCulled = false;   // Slots move with every spark, so there's no lasting bounding sphere
+  return pool;
+}
 
-  // Outer edge sparks - 50 per second (every 20ms)
-  setInterval(() => {
-    if (!sparksEnabled || outerParticles.length === 0) return;
+// Where a particle is on screen right now (pushed by the pointer) and its color;
+// null while it hasn't grown in yet or the figure is morphing
+function getSparkSource(index) {
+  const particle = particles[index];
+  if (!particle || !particleSystem || isMorphing || getGrowthOpacity(particle) <= 0) return null;
+
+  const attributes = particleSystem.geometry.attributes;
+  const offsets = attributes.interactionOffset.array;
+  return {
+    x: particle.originalX + offsets[index * 3],
+    y: particle.originalY + offsets[index * 3 + 1],
+    z: particle.originalZ + offsets[index * 3 + 2],
+    color: attributes.particleColor.array.subarray(index * 3, index * 3 + 3)
+  };
+}
 
-    // Pick a random outer edge particle to spark
-    const randomOuterIndex = Math.floor(Math.random() * outerParticles.length);
-    const { particle } = outerParticles[randomOuterIndex];
+// Emission paced by frame time, then only the pool slots written this frame are uploaded
+function updateSparks(deltaTime) {
+  if (!sparkPool) return;
+  const time = getAnimationTime();
+  sparkEmitter.update(deltaTime, time);
+  sparkPool.material.uniforms.uTime.value = time;
+  uploadPoolSlots(sparkEmitter, sparkPool);
+}
 
-    // Don't spark if already sparking
-    if (particle.isSparking) return;
+function uploadPoolSlots(emitter, pool) {
+  const range = emitter.takeDirtyRange();
+  if (!range) return;
+  Object.values(pool.geometry.attributes).forEach(attribute => {
+    attribute.clearUpdateRanges();
+    attribute.addUpdateRange(range.start * attribute.itemSize, range.count * attribute.itemSize);
+    attribute.needsUpdate = true;
+  });
+}
 
-    // Start the spark
-    particle.isSparking = true;
-    particle.sparkProgress = 0;
-    particle.sparkStartTime = performance.now();
-  }, 20); // 50 sparks per second from outer edges
+// ===== WEATHER & SEASONS =====
+// Seasonal effects picked by CONFIG.weather.mode, ?weather= or setWeather() (modes and seasons in tree-weather.js).
+// Leaves, snow and blossoms are emitters like the sparks, each with its own pool and shader;
+// wind is a gust the particle shader bends the crown with (see WIND_BEND_SHADER).
+// Like sparks, effects run from the moment growth starts and are rebound to each new cloud.
+const WEATHER_REGIONS = {
+  leaves: settings => selectCrownEdge(settings.crown),
+  snow: settings => selectTopSurface(settings.crown),
+  blossoms: settings => selectCrownEdge(settings.crown)
+};
+const weatherEffects = new Map();    // mode → { emitter, pool } for the particle effects that are on
+let activeWeather = [];              // Modes currently on
+let windGust = null;                 // time → { x, z } while 'wind' is on
+
+function getRequestedWeather() {
+  return new URLSearchParams(window.location.search).get('weather') || CONFIG.weather.mode;
 }
 
-function updateSparks(particleSystem, particleArray) {
-  if (!particleSystem || particleArray.length === 0) return;
-  if (!sparksEnabled) return;
+// Effect settings with the active theme's overrides (e.g. CONFIG.themes.dark.weather.snow)
+function getWeatherSettings(mode) {
+  return { ...CONFIG.weather[mode], ...CONFIG.themes[activeTheme].weather?.[mode] };
+}
 
-  const positions = particleSystem.geometry.attributes.position.array;
-  const opacityArray = particleSystem.geometry.attributes.opacity.array;
-  const now = performance.now();
+// Switches the weather; mode as in CONFIG.weather.mode. Returns the modes now on
+// Page code can import this: import { setWeather } from './tree-engine.js'; setWeather('winter');
+export function setWeather(mode) {
+  const settings = CONFIG.weather;
+  const date = settings.date ? new Date(settings.date) : new Date();
+  activeWeather = resolveWeatherModes(mode, date, settings.hemisphere);
 
-  particleArray.forEach((particle, i) => {
-    if (!particle.isSparking) return;
-
-    const elapsed = now - particle.sparkStartTime;
-    const progress = Math.min(elapsed / CONFIG.sparks.fadeDuration, 1.0);
-
-    if (progress >= 1.0) {
-      // Spark complete - reset particle to original position
-      particle.isSparking = false;
-      particle.sparkProgress = 0;
-      positions[i * 3] = particle.originalX;
-      positions[i * 3 + 1] = particle.originalY;
-      positions[i * 3 + 2] = particle.originalZ;
-      opacityArray[i] = particle.currentOpacity;
-    } else {
-      // Animate the spark
-      particle.sparkProgress = progress;
-
-      // Phase 1 (0-0.1): Quick "pop" outward
-      // Phase 2 (0.1-1.0): Float upward in curvy path
-
-      let offsetX = 0;
-      let offsetY = 0;
-      let offsetZ = 0;
-
-      if (progress < 0.1) {
-        // Pop phase - quick outward movement
-        const popProgress = progress / 0.1;
-        const popDistance = CONFIG.sparks.popIntensity * Math.sin(popProgress * Math.PI);
-        const randomAngle = particle.sparkCurvePhase;
-        offsetX = Math.cos(randomAngle) * popDistance;
-        offsetZ = Math.sin(randomAngle) * popDistance;
-        offsetY = popDistance * 0.5; // Slight upward pop
-      } else {
-        // Float phase - curvy upward movement
-        const floatProgress = (progress - 0.1) / 0.9;
+  // Effects that are no longer wanted let their last particles vanish with the pool
+  weatherEffects.forEach((effect, name) => {
+    if (!activeWeather.includes(name)) effect.emitter.dispose();
+  });
 
-        // Upward movement
-        offsetY = floatProgress * CONFIG.sparks.floatHeight;
+  windGust = activeWeather.includes('wind')
+    ? createGust(settings.wind, createRandom(deriveSeed(getSeed(), 'weather:wind')))
+    : null;
 
-        // Curvy side-to-side movement (sine wave)
-        const curveOffset = floatProgress * CONFIG.sparks.curveFrequency * Math.PI * 2;
-        offsetX = Math.sin(particle.sparkCurvePhase + curveOffset) * CONFIG.sparks.curveAmplitude;
-        offsetZ = Math.cos(particle.sparkCurvePhase + curveOffset) * CONFIG.sparks.curveAmplitude * 0.5;
-      }
+  if (particleSystem && !isMorphing) {
+    bindWeather(activeFigure);
+  }
 
-      // Apply offsets to position
-      positions[i * 3] = particle.originalX + offsetX;
-      positions[i * 3 + 1] = particle.originalY + offsetY;
-      positions[i * 3 + 2] = particle.originalZ + offsetZ;
+  console.log(`🌦️ Weather: ${activeWeather.length > 0 ? activeWeather.join(', ') : 'none'}`);
+  return activeWeather;
+}
 
-      // Fade out as it floats up (starts fading after pop phase)
-      const fadeProgress = Math.max(0, (progress - 0.1) / 0.9);
-      const baseOpacity = particle.currentOpacity * (1.0 - fadeProgress);
-      // Boost opacity for brighter sparks (clamped to max 1.0)
-      opacityArray[i] = Math.min(baseOpacity * CONFIG.sparks.opacityBoost, 1.0);
+// Creates the pools for the active particle effects and points them at the cloud on screen
+function bindWeather(figure) {
+  activeWeather.filter(mode => WEATHER_REGIONS[mode]).forEach(mode => {
+    const settings = getWeatherSettings(mode);
+    let effect = weatherEffects.get(mode);
+    if (!effect) {
+      effect = createWeatherEffect(mode, settings);
+    } else {
+      effect.pool.material.dispose();
     }
+
+    const { emitter, pool } = effect;
+    emitter.addRegion(mode, { rate: settings.rate, select: WEATHER_REGIONS[mode](settings) });
+    emitter.duration = settings.duration;
+    emitter.bind(particles, index => getWeatherSource(mode, emitter, index), createRandom(deriveSeed(getSeed(), `weather:${mode}`)));
+
+    // Like the spark pool's, the shader bakes in the figure's particle size
+    pool.material = createWeatherMaterial(mode, figure, settings);
+    const cloudUniforms = particleSystem.material.uniforms;
+    pool.material.uniforms.uWindBase.value = cloudUniforms.uWindBase.value;
+    pool.material.uniforms.uWindHeight.value = cloudUniforms.uWindHeight.value;
+    setWeatherGround(pool.material, particles);
   });
+}
+
+function createWeatherEffect(mode, settings) {
+  const emitter = new SparkEmitter(settings.poolSize);
+  const pool = createSparkPool(emitter);
+  scene.add(pool);
 
-  particleSystem.geometry.attributes.position.needsUpdate = true;
-  particleSystem.geometry.attributes.opacity.needsUpdate = true;
+  // Effects switched on after growth started join in right away (see applyGrowthState)
+  if (flowAnimationEnabled) emitter.start();
+
+  const effect = { emitter, pool };
+  weatherEffects.set(mode, effect);
+  emitter.addEventListener('dispose', () => {
+    scene.remove(pool);
+    disposeParticleSystem(pool);
+    weatherEffects.delete(mode);
+  });
+  return effect;
 }
 
-// ===== ANIMATION LOOP =====
-function animate() {
-  requestAnimationFrame(animate);
+// Where leaves fall to and snow falls from: the bottom and top of the cloud
+function setWeatherGround(material, particleArray) {
+  let minY = Infinity;
+  let maxY = -Infinity;
+  particleArray.forEach(particle => {
+    minY = Math.min(minY, particle.originalY);
+    maxY = Math.max(maxY, particle.originalY);
+  });
+  material.uniforms.uGround.value = minY;
+  material.uniforms.uTop.value = maxY + (maxY - minY) * 0.15;
+}
 
-  // Sapling animation - only animates sapling particles before growth
-  const updateSaplingAnimation = (particleSystem, particleArray) => {
-    if (!particleSystem || particleArray.length === 0) return;
-    if (!saplingAnimationEnabled) return; // Only run before growth
+// Same checks as sparks (grown in, not morphing); the color is picked from the effect's palette
+function getWeatherSource(mode, emitter, index) {
+  const source = getSparkSource(index);
+  if (!source) return null;
+  const colors = getWeatherSettings(mode).colors;
+  source.color = parseColor(colors[Math.floor(emitter.random() * colors.length)]);
+  return source;
+}
 
-    const positions = particleSystem.geometry.attributes.position.array;
+// Each effect's path over its life, in the pool's sparkStart/sparkPhase timing (like the spark shader)
+const WEATHER_PATHS = {
+  // Hang on the branch for a moment, then tumble down to the ground swaying and blown along, then fade
+  leaves: `
+    float fall = smoothstep(0.05, 0.8, progress);
+    offset.y = (uGround - position.y) * fall;
+    offset.x = sin(sparkPhase + progress * 12.0) * uSway * fall;
+    offset.z = cos(sparkPhase + progress * 9.0) * uSway * 0.5 * fall;
+    offset.xz += windBend(position) * (1.0 - fall) + uWind * 1.5 * fall;
+    opacity = 1.0 - smoothstep(0.85, 1.0, progress);
+  `,
+  // Drift down from above the figure onto a branch, rest there moving with it, then melt away
+  snow: `
+    float fall = clamp(progress / 0.35, 0.0, 1.0);
+    float above = (uTop - position.y) * (1.0 - fall);
+    offset.y = above;
+    offset.x = sin(sparkPhase + above * 0.05) * uSway * (1.0 - fall);
+    offset.z = cos(sparkPhase + above * 0.04) * uSway * 0.5 * (1.0 - fall);
+    offset.xz += uWind * (1.0 - fall) + windBend(position) * fall;
+    opacity = smoothstep(0.0, 0.03, progress) * (1.0 - smoothstep(0.85, 1.0, progress));
+  `,
+  // Open on a branch tip, hold, then let go as a petal that drifts off on the wind
+  blossoms: `
+    float open = smoothstep(0.0, 0.1, progress);
+    float drift = smoothstep(0.7, 1.0, progress);
+    size = open;
+    offset.y = -drift * 60.0;
+    offset.x = sin(sparkPhase + progress * 10.0) * uSway * drift;
+    offset.z = cos(sparkPhase + progress * 7.0) * uSway * 0.5 * drift;
+    offset.xz += windBend(position) * (1.0 - drift) + uWind * 2.0 * drift;
+    opacity = open * (1.0 - smoothstep(0.9, 1.0, progress));
+  `
+};
 
-    // Initialize sapling flow state (do once)
-    if (!particleArray.saplingFlowInitialized) {
-      particleArray.saplingFlowInitialized = true;
+function createWeatherMaterial(mode, figure, settings) {
+  return new THREE.ShaderMaterial({
+    transparent: true,
+    depthTest: true,
+    depthWrite: false,
+    uniforms: {
+      uTime: { value: getAnimationTime() },
+      uDuration: { value: settings.duration },
+      uSway: { value: settings.sway },
+      uGround: { value: 0 },                  // Set from the cloud (see setWeatherGround)
+      uTop: { value: 0 },
+      uWind: { value: new THREE.Vector2(wind.x, wind.z) },
+      uWindBase: { value: 0 },                // Same bend as the cloud (copied in bindWeather)
+      uWindHeight: { value: 1 }
+    },
+    vertexShader: `
+      attribute vec3 sparkColor;
+      attribute float sparkStart;
+      attribute float sparkPhase;
 
-      particleArray.forEach((particle) => {
-        if (particle.isSaplingParticle) {
-          // Initialize flow properties for sapling particles
-          if (particle.flowOffset === undefined) {
-            particle.flowOffset = Math.random() * CONFIG.tree.flowHeight;
-          }
-          if (particle.driftX === undefined) {
-            particle.driftX = (Math.random() - 0.5) * CONFIG.tree.flowTurbulence;
-          }
-          if (particle.driftZ === undefined) {
-            particle.driftZ = (Math.random() - 0.5) * CONFIG.tree.flowTurbulence;
-          }
-        }
-      });
-    }
+      uniform float uTime;
+      uniform float uDuration;
+      uniform float uSway;
+      uniform float uGround;
+      uniform float uTop;
+      ${WIND_BEND_SHADER}
 
-    // Animate ONLY sapling particles
-    particleArray.forEach((particle, i) => {
-      if (particle.isSaplingParticle) {
-        // Move upward
-        particle.flowOffset += CONFIG.tree.flowSpeed;
-
-        // When particle reaches max height, respawn at bottom
-        if (particle.flowOffset >= CONFIG.tree.flowHeight) {
-          particle.flowOffset = 0;
-          // New random drift direction
-          particle.driftX = (Math.random() - 0.5) * CONFIG.tree.flowTurbulence;
-          particle.driftZ = (Math.random() - 0.5) * CONFIG.tree.flowTurbulence;
+      varying float vOpacity;
+      varying vec3 vColor;
+
+      void main() {
+        // Free slots (and effects that ran their course) stay invisible
+        float progress = (uTime - sparkStart) / uDuration;
+        float opacity = 0.0;
+        float size = 1.0;
+        vec3 offset = vec3(0.0);
+
+        if (progress >= 0.0 && progress < 1.0) {
+          ${WEATHER_PATHS[mode]}
         }
 
-        // Update position (rises from original position with drift)
-        positions[i * 3] = particle.originalX + particle.driftX;
-        positions[i * 3 + 1] = particle.originalY + particle.flowOffset;
-        positions[i * 3 + 2] = particle.originalZ + particle.driftZ;
+        vOpacity = opacity;
+        vColor = sparkColor;
+        vec4 mvPosition = modelViewMatrix * vec4(position + offset, 1.0);
+        gl_PointSize = ${(figure.particleSize * settings.size).toFixed(2)} * size * (300.0 / -mvPosition.z);
+        gl_Position = projectionMatrix * mvPosition;
       }
-    });
+    `,
+    fragmentShader: PARTICLE_FRAGMENT_SHADER
+  });
+}
 
-    particleSystem.geometry.attributes.position.needsUpdate = true;
+// Wind eases toward the gust, then effects emit for this frame (called next to updateSparks)
+function updateWeather(deltaTime) {
+  const time = getAnimationTime();
+  const target = windGust ? windGust(time) : { x: 0, z: 0 };
+  const follow = Math.min(deltaTime * CONFIG.weather.wind.response, 1);
+  wind = {
+    x: wind.x + (target.x - wind.x) * follow,
+    z: wind.z + (target.z - wind.z) * follow
   };
 
-  // Full tree flow animation - runs after growth is triggered
-  const updateFullTreeFlow = (particleSystem, particleArray) => {
-    if (!particleSystem || particleArray.length === 0) return;
-    if (!flowAnimationEnabled) return; // Only run after growth
+  weatherEffects.forEach(({ emitter, pool }) => {
+    emitter.update(deltaTime, time);
+    pool.material.uniforms.uTime.value = time;
+    pool.material.uniforms.uWind.value.set(wind.x, wind.z);
+    uploadPoolSlots(emitter, pool);
+  });
+}
 
-    const positions = particleSystem.geometry.attributes.position.array;
+// ===== POINTER INTERACTION =====
+// Every pointer (mouse or each touch) casts a ray from the camera. Particles close to a ray are
+// pushed away from it (or pulled in) and spring back to originalX/Y/Z once it moves on.
+// Only displaced particles are simulated; their offsets go to the interactionOffset attribute.
+const activePointers = new Map();    // pointerId → { ndc, downX, downY, moved }
+const displaced = new Map();         // particle index → { offset, velocity } (THREE.Vector3)
+const raycaster = new THREE.Raycaster();
+let interactionHash = null;          // Spatial hash of the current particles' home positions
+let interactionHashSource = null;    // particles array the hash (and displaced) belong to
+let interactionRandom = null;
+
+function setupPointerInteraction() {
+  // Listen on window so pointers register whether or not the canvas takes events (CONFIG.camera.controls)
+  window.addEventListener('pointerdown', (e) => {
+    const pointer = trackPointer(e);
+    pointer.downX = e.clientX;
+    pointer.downY = e.clientY;
+    pointer.moved = false;
+  });
 
-    // Initialize particle flow state (do once)
-    if (!particleArray.flowInitialized) {
-      particleArray.flowInitialized = true;
+  window.addEventListener('pointermove', (e) => {
+    // Touches only exist while the finger is down; mice hover
+    if (e.pointerType !== 'mouse' && !activePointers.has(e.pointerId)) return;
+    const pointer = trackPointer(e);
+    if (pointer.downX !== null && Math.hypot(e.clientX - pointer.downX, e.clientY - pointer.downY) > CONFIG.interaction.clickTolerance) {
+      pointer.moved = true;
+    }
+  });
 
-      particleArray.forEach((particle) => {
-        // Initialize ALL particles for full tree flow
-        if (particle.flowOffset === undefined) {
-          particle.flowOffset = Math.random() * CONFIG.tree.flowHeight;
-        }
-        if (particle.driftX === undefined) {
-          particle.driftX = (Math.random() - 0.5) * CONFIG.tree.flowTurbulence;
-        }
-        if (particle.driftZ === undefined) {
-          particle.driftZ = (Math.random() - 0.5) * CONFIG.tree.flowTurbulence;
-        }
-      });
+  window.addEventListener('pointerup', (e) => {
+    const pointer = activePointers.get(e.pointerId);
+    if (pointer && pointer.downX !== null && !pointer.moved && !e.target.closest('button, a, .build-trigger-box')) {
+      burstSparksAt(pointer.ndc);
+    }
+    if (e.pointerType === 'mouse') {
+      if (pointer) pointer.downX = null;
+    } else {
+      activePointers.delete(e.pointerId);
     }
+  });
+
+  window.addEventListener('pointercancel', (e) => activePointers.delete(e.pointerId));
+  document.documentElement.addEventListener('pointerleave', (e) => activePointers.delete(e.pointerId));
+
+  console.log(`✅ Pointer interaction enabled (${CONFIG.interaction.mode}, click to burst sparks)`);
+}
+
+function trackPointer(e) {
+  let pointer = activePointers.get(e.pointerId);
+  if (!pointer) {
+    pointer = { ndc: new THREE.Vector2(), downX: null, downY: null, moved: false };
+    activePointers.set(e.pointerId, pointer);
+  }
+  pointerToNdc(e, pointer.ndc);
+  return pointer;
+}
+
+// Pointer event → normalized device coordinates (-1 to 1, y up) for raycasting and projection
+function pointerToNdc(e, target = new THREE.Vector2()) {
+  return target.set((e.clientX / window.innerWidth) * 2 - 1, -(e.clientY / window.innerHeight) * 2 + 1);
+}
+
+// Hash of home positions, rebuilt when the figure changes (old displacements belong to the old cloud)
+function getInteractionHash() {
+  if (interactionHashSource !== particles) {
+    interactionHash = SpatialHash.fromPoints(particles, CONFIG.interaction.radius, p => ({
+      x: p.originalX,
+      y: p.originalY,
+      z: p.originalZ
+    }));
+    interactionHashSource = particles;
+    displaced.clear();
+  }
+  return interactionHash;
+}
 
-    // Animate ALL particles
-    particleArray.forEach((particle, i) => {
-      // Move upward
-      particle.flowOffset += CONFIG.tree.flowSpeed;
-
-      // When particle reaches max height, respawn at bottom
-      if (particle.flowOffset >= CONFIG.tree.flowHeight) {
-        particle.flowOffset = 0;
-        // New random drift direction
-        particle.driftX = (Math.random() - 0.5) * CONFIG.tree.flowTurbulence;
-        particle.driftZ = (Math.random() - 0.5) * CONFIG.tree.flowTurbulence;
+// Calls callback(index, closestPointOnRay) for each particle within radius of the pointer's ray
+// The ray is sampled where it crosses the cloud's bounding sphere, one hash query per radius step
+function forEachNearRay(ndc, radius, callback) {
+  raycaster.setFromCamera(ndc, camera);
+  const ray = raycaster.ray;
+  const geometry = particleSystem.geometry;
+  if (!geometry.boundingSphere) geometry.computeBoundingSphere();
+  const sphere = geometry.boundingSphere;
+
+  // Stretch of the ray inside the (radius-padded) bounding sphere
+  const centerDistance = ray.origin.clone().sub(sphere.center).dot(ray.direction);
+  const closestDistanceSq = ray.distanceSqToPoint(sphere.center);
+  const reach = sphere.radius + radius;
+  if (closestDistanceSq > reach * reach) return;
+  const halfChord = Math.sqrt(reach * reach - closestDistanceSq);
+  const start = Math.max(0, -centerDistance - halfChord);
+  const end = -centerDistance + halfChord;
+
+  const hash = getInteractionHash();
+  const visited = new Set();
+  const sample = new THREE.Vector3();
+  const home = new THREE.Vector3();
+  const onRay = new THREE.Vector3();
+
+  // Steps of one radius, each query a bit wider so the samples' spheres cover the whole cylinder
+  for (let t = start; t <= end + radius; t += radius) {
+    ray.at(Math.min(t, end), sample);
+    hash.forEachNear(sample.x, sample.y, sample.z, radius * 1.2, index => {
+      if (visited.has(index)) return;
+      visited.add(index);
+
+      const particle = particles[index];
+      home.set(particle.originalX, particle.originalY, particle.originalZ);
+      ray.closestPointToPoint(home, onRay);
+      if (onRay.distanceToSquared(home) <= radius * radius) {
+        callback(index, onRay, home);
       }
+    });
+  }
+}
 
-      // Update position (rises from original position with drift)
-      positions[i * 3] = particle.originalX + particle.driftX;
-      positions[i * 3 + 1] = particle.originalY + particle.flowOffset;
-      positions[i * 3 + 2] = particle.originalZ + particle.driftZ;
+// Push/pull from every pointer, then integrate the springs of displaced particles
+function updateInteraction(deltaTime) {
+  if (!particleSystem || isMorphing || !camera) return;
+  const settings = CONFIG.interaction;
+  getInteractionHash();
+  if (activePointers.size === 0 && displaced.size === 0) return;
+
+  const direction = settings.mode === 'attract' ? -1 : 1;
+  const away = new THREE.Vector3();
+
+  activePointers.forEach(pointer => {
+    forEachNearRay(pointer.ndc, settings.radius, (index, onRay, home) => {
+      away.subVectors(home, onRay);
+      const distance = away.length();
+      if (distance < 1e-3) return;
+
+      // Strongest at the ray, smooth falloff to zero at radius
+      const falloff = 1 - distance / settings.radius;
+      const push = settings.strength * falloff * falloff * direction * deltaTime;
+
+      let state = displaced.get(index);
+      if (!state) {
+        state = { offset: new THREE.Vector3(), velocity: new THREE.Vector3() };
+        displaced.set(index, state);
+      }
+      state.velocity.addScaledVector(away, push / distance);
     });
+  });
 
-    particleSystem.geometry.attributes.position.needsUpdate = true;
-  };
+  const offsetAttribute = particleSystem.geometry.attributes.interactionOffset;
+  const offsets = offsetAttribute.array;
+  let minIndex = Infinity;
+  let maxIndex = -1;
+
+  displaced.forEach((state, index) => {
+    // Damped spring toward home (semi-implicit Euler)
+    state.velocity.addScaledVector(state.offset, -settings.spring * deltaTime);
+    state.velocity.multiplyScalar(Math.max(0, 1 - settings.damping * deltaTime));
+    state.offset.addScaledVector(state.velocity, deltaTime);
+    if (state.offset.length() > settings.maxOffset) {
+      state.offset.setLength(settings.maxOffset);
+    }
+
+    // Settled: snap home and stop simulating
+    if (state.offset.lengthSq() < 1e-4 && state.velocity.lengthSq() < 1e-4) {
+      state.offset.set(0, 0, 0);
+      displaced.delete(index);
+    }
+
+    offsets[index * 3] = state.offset.x;
+    offsets[index * 3 + 1] = state.offset.y;
+    offsets[index * 3 + 2] = state.offset.z;
+    minIndex = Math.min(minIndex, index);
+    maxIndex = Math.max(maxIndex, index);
+  });
+
+  // Upload only the span of the buffer that changed
+  if (maxIndex >= 0) {
+    offsetAttribute.clearUpdateRanges();
+    offsetAttribute.addUpdateRange(minIndex * 3, (maxIndex - minIndex + 1) * 3);
+    offsetAttribute.needsUpdate = true;
+  }
+}
+
+// Click/tap: the particles nearest the pointer ray burst into sparks
+function burstSparksAt(ndc) {
+  if (!particleSystem || isMorphing || !camera) return;
+  const settings = CONFIG.interaction;
+
+  const candidates = [];
+  forEachNearRay(ndc, settings.burstRadius, (index, onRay, home) => {
+    candidates.push({ index, distanceSq: onRay.distanceToSquared(home) });
+  });
+  if (candidates.length === 0) return;
+
+  // Nearest first, with a seeded shuffle among equals so bursts don't always pick the same column
+  if (!interactionRandom) {
+    interactionRandom = createRandom(deriveSeed(getSeed(), 'interaction'));
+  }
+  const time = getAnimationTime();
+  const emitted = shuffled(candidates, interactionRandom)
+    .sort((a, b) => a.distanceSq - b.distanceSq)
+    .slice(0, settings.burstCount)
+    .filter(({ index }) => sparkEmitter.emit(index, time))
+    .length;
+
+  console.log(`✨ Spark burst: ${emitted} sparks`);
+}
+
+// ===== USER POINTS (Members) =====
+// Members ({ id, name, joined }) are bound to particles of the current figure (placement in tree-members.js).
+// Bindings are rebuilt for each new figure, so members stay in the tree through loadFigure and morphs.
+const memberRecords = new Map();     // member id → normalized record
+const memberParticles = new Map();   // member id → particle index in the current cloud
+const particleMembers = new Map();   // particle index → member id
+let memberRanking = null;            // Particle indices by growthOrder for the current cloud
+let memberBindingSource = null;      // particles array the bindings belong to
+let hoveredMemberId = null;
+let focusedMemberId = null;
+let hoverNdc = null;                 // Last mouse position, hit-tested once per frame
+
+// Replaces every binding: bindMembers([{ id, name, joined }, ...])
+export function bindMembers(records) {
+  memberRecords.clear();
+  records.forEach(record => {
+    const member = normalizeMember(record);
+    memberRecords.set(member.id, member);
+  });
+  hoveredMemberId = null;
+  focusedMemberId = null;
+  memberBindingSource = null;
+  syncMemberBindings();
+  console.log(`👥 Bound ${memberRecords.size} members`);
+  return listMembers();
+}
+
+// A member who just joined: takes a free particle near the tips and flies into place
+export function addMember(record, { animate = true } = {}) {
+  const member = normalizeMember(record);
+  const isNew = !memberRecords.has(member.id);
+  memberRecords.set(member.id, member);
+  if (!isNew || !particleSystem || memberBindingSource !== particles) {
+    syncMemberBindings();
+    return member;
+  }
+
+  const taken = new Set(particleMembers.keys());
+  const index = pickNewMemberParticle(memberRanking, member, taken, getSeed());
+  if (index === null) {
+    console.warn(`⚠️ No free particle for member "${member.id}"`);
+    return member;
+  }
+
+  memberParticles.set(member.id, index);
+  particleMembers.set(index, member.id);
+  writeMemberState(index);
+  if (animate) {
+    const memberJoin = particleSystem.geometry.attributes.memberJoin;
+    memberJoin.array[index] = getAnimationTime();
+    memberJoin.addUpdateRange(index, 1);
+    memberJoin.needsUpdate = true;
+  }
+
+  console.log(`🌱 ${member.name} joined`);
+  return member;
+}
+
+export function removeMember(id) {
+  const key = String(id);
+  if (!memberRecords.delete(key)) return false;
+
+  const index = memberParticles.get(key);
+  memberParticles.delete(key);
+  if (index !== undefined) {
+    particleMembers.delete(index);
+    if (particleSystem && memberBindingSource === particles) writeMemberState(index);
+  }
+  if (hoveredMemberId === key) hoveredMemberId = null;
+  if (focusedMemberId === key) focusedMemberId = null;
+  return true;
+}
+
+export function getMember(id) {
+  return memberRecords.get(String(id)) || null;
+}
+
+export function listMembers() {
+  return [...memberRecords.values()];
+}
+
+// Highlights a member's particle, shows their name and glides the camera to it
+export function focusMember(id, { zoom = true } = {}) {
+  syncMemberBindings();
+  const key = String(id);
+  const index = memberParticles.get(key);
+  if (index === undefined) {
+    console.warn(`⚠️ Member "${id}" is not in the current figure`);
+    return null;
+  }
+
+  const previous = focusedMemberId;
+  focusedMemberId = key;
+  if (previous !== null) writeMemberState(memberParticles.get(previous));
+  writeMemberState(index);
+
+  if (zoom && controls) {
+    const particle = particles[index];
+    const target = new THREE.Vector3(particle.originalX, particle.originalY, particle.originalZ);
+    const direction = camera.position.clone().sub(controls.target).normalize();
+    const position = target.clone().addScaledVector(direction, CONFIG.members.focusDistance);
+    const settings = { duration: CONFIG.members.focusDuration, ease: 'power2.inOut' };
+
+    controls.autoRotate = false;
+    clearTimeout(idleTimer);
+    const resetButton = document.getElementById('reset-view');
+    if (resetButton) resetButton.classList.add('visible');
+
+    gsap.to(controls.target, { x: target.x, y: target.y, z: target.z, ...settings });
+    gsap.to(camera.position, { x: position.x, y: position.y, z: position.z, ...settings, onComplete: scheduleAutoRotate });
+  }
 
-  // Run appropriate animation based on state
-  if (saplingAnimationEnabled) {
-    updateSaplingAnimation(particleSystem, particles);
-  } else if (flowAnimationEnabled) {
-    updateFullTreeFlow(particleSystem, particles);
+  const member = memberRecords.get(key);
+  window.dispatchEvent(new CustomEvent('member-focus', { detail: { member } }));
+  return member;
+}
+
+export function clearMemberFocus() {
+  if (focusedMemberId === null) return;
+  const index = memberParticles.get(focusedMemberId);
+  focusedMemberId = null;
+  if (index !== undefined) writeMemberState(index);
+  window.dispatchEvent(new CustomEvent('member-focus', { detail: { member: null } }));
+}
+
+// Rebinds every member when the cloud has changed since the last binding
+function syncMemberBindings() {
+  if (!particleSystem || memberBindingSource === particles) return;
+
+  memberRanking = rankByGrowth(particles);
+  const bindings = assignMemberParticles(memberRanking, [...memberRecords.values()], getSeed());
+  memberParticles.clear();
+  particleMembers.clear();
+  bindings.forEach((index, id) => {
+    memberParticles.set(id, index);
+    particleMembers.set(index, id);
+  });
+  memberBindingSource = particles;
+
+  const memberState = particleSystem.geometry.attributes.memberState;
+  memberState.array.fill(0);
+  particleMembers.forEach((id, index) => {
+    memberState.array[index] = getMemberState(id);
+  });
+  memberState.clearUpdateRanges();   // Drop single-particle ranges queued this frame: upload it all
+  memberState.needsUpdate = true;
+}
+
+function getMemberState(id) {
+  if (id === undefined) return 0;
+  return id === hoveredMemberId || id === focusedMemberId ? 2 : 1;
+}
+
+// Re-uploads one particle's member state (bound, highlighted or anonymous again)
+function writeMemberState(index) {
+  if (index === undefined || !particleSystem) return;
+  const memberState = particleSystem.geometry.attributes.memberState;
+  memberState.array[index] = getMemberState(particleMembers.get(index));
+  memberState.addUpdateRange(index, 1);
+  memberState.needsUpdate = true;
+}
+
+function setupMemberInteraction() {
+  window.addEventListener('pointermove', (e) => {
+    if (e.pointerType !== 'mouse') return;
+    hoverNdc = pointerToNdc(e, hoverNdc || undefined);
+  });
+  document.documentElement.addEventListener('pointerleave', () => {
+    hoverNdc = null;
+  });
+
+  // Click/tap on a member focuses them (without moving the camera), elsewhere clears the focus
+  window.addEventListener('click', (e) => {
+    if (memberParticles.size === 0 || e.target.closest('button, a, .build-trigger-box')) return;
+    const id = findMemberAt(pointerToNdc(e));
+    if (id !== null) {
+      focusMember(id, { zoom: false });
+    } else {
+      clearMemberFocus();
+    }
+  });
+}
+
+// Member id whose particle is closest to a screen position (within CONFIG.members.hoverRadius pixels)
+function findMemberAt(ndc) {
+  const projected = new THREE.Vector3();
+  const halfWidth = window.innerWidth / 2;
+  const halfHeight = window.innerHeight / 2;
+  let nearestId = null;
+  let nearestDistance = CONFIG.members.hoverRadius;
+
+  memberParticles.forEach((index, id) => {
+    const particle = particles[index];
+    projected.set(particle.originalX, particle.originalY, particle.originalZ).project(camera);
+    if (projected.z > 1) return; // Behind the camera
+    const distance = Math.hypot((projected.x - ndc.x) * halfWidth, (projected.y - ndc.y) * halfHeight);
+    if (distance < nearestDistance) {
+      nearestDistance = distance;
+      nearestId = id;
+    }
+  });
+  return nearestId;
+}
+
+// Per frame: keep bindings on the current cloud, hit-test the cursor and pin the tooltip
+function updateMembers() {
+  if (!particleSystem || isMorphing || memberRecords.size === 0) {
+    hideMemberTooltip();
+    return;
+  }
+  syncMemberBindings();
+
+  const hovered = hoverNdc ? findMemberAt(hoverNdc) : null;
+  if (hovered !== hoveredMemberId) {
+    const previous = hoveredMemberId;
+    hoveredMemberId = hovered;
+    if (previous !== null) writeMemberState(memberParticles.get(previous));
+    if (hovered !== null) writeMemberState(memberParticles.get(hovered));
+    window.dispatchEvent(new CustomEvent('member-hover', { detail: { member: hovered !== null ? memberRecords.get(hovered) : null } }));
   }
 
-  // Update sparks (runs after tree is fully grown)
-  if (sparksEnabled) {
-    updateSparks(particleSystem, particles);
+  const shownId = hoveredMemberId ?? focusedMemberId;
+  if (shownId === null) {
+    hideMemberTooltip();
+  } else {
+    showMemberTooltip(memberRecords.get(shownId), particles[memberParticles.get(shownId)]);
+  }
+}
+
+function showMemberTooltip(member, particle) {
+  const tooltip = document.getElementById('member-tooltip');
+  if (!tooltip) return;
+
+  const projected = new THREE.Vector3(particle.originalX, particle.originalY, particle.originalZ).project(camera);
+  tooltip.style.left = `${(projected.x + 1) / 2 * window.innerWidth}px`;
+  tooltip.style.top = `${(1 - projected.y) / 2 * window.innerHeight}px`;
+
+  if (tooltip.dataset.memberId !== member.id) {
+    tooltip.dataset.memberId = member.id;
+    tooltip.querySelector('.member-name').textContent = member.name;
+    tooltip.querySelector('.member-joined').textContent = member.joined
+      ? `JOINED ${member.joined.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' }).toUpperCase()}`
+      : '';
+  }
+  tooltip.classList.add('visible');
+}
+
+function hideMemberTooltip() {
+  const tooltip = document.getElementById('member-tooltip');
+  if (tooltip) tooltip.classList.remove('visible');
+}
+
+// ===== ANIMATION LOOP =====
+function animate() {
+  requestAnimationFrame(animate);
+
+  const now = performance.now();
+  const deltaTime = Math.min((now - lastFrameTime) / 1000, 1 / 30); // Clamped so a background tab doesn't fling particles
+  lastFrameTime = now;
+
+  // Sapling flow, full tree flow and growth all run in the vertex shader
+  // (the morph tween drives its own temporary cloud while morphing)
+  if (particleSystem) {
+    updateParticleUniforms(particleSystem.material);
+  }
+
+  // Spark emission for this frame (the pool animates in its own shader)
+  updateSparks(deltaTime);
+
+  // Wind gusts and seasonal effects
+  updateWeather(deltaTime);
+
+  // Growth timeline (play/pause/seek/reverse) moves growthProgress
+  growthTimeline.tick(deltaTime);
+
+  // Pointer forces and spring-back (only touches displaced particles)
+  updateInteraction(deltaTime);
+
+  // User Point bindings, hover and tooltip
+  updateMembers();
+
+  // Damping and auto-rotate need an update every frame
+  if (controls) {
+    controls.update();
   }
 
   // Always render the scene
@@ -1056,17 +2334,18 @@ async function init() {
   try {
     console.log('🚀 Initializing Tree Page...');
 
-    // Step 1: Create background grid
+    // Step 1: Apply the theme and weather, create background grid
+    setTheme(getRequestedTheme());
+    setWeather(getRequestedWeather());
     createBackgroundGrid();
     console.log('✅ Grid created');
 
-    // Step 2: Setup tree image element
+    // Step 2: Setup tree image element (its src follows the active figure)
     treeImageElement = document.getElementById('logo-image');
     if (!treeImageElement) {
       console.error('❌ Tree image element not found in DOM');
       return;
     }
-    treeImageElement.src = 'tree-transparent.png';
     console.log('✅ Tree element set');
 
     // Step 3: Setup input handlers
@@ -1077,27 +2356,18 @@ async function init() {
     initThreeJS();
     console.log('✅ Three.js initialized');
 
-    // Step 5: Load tree image
-    try {
-      await loadTreeImage();
-      console.log('✅ Tree image loaded successfully');
-    } catch (error) {
-      console.error('❌ Failed to load tree image:', error);
-      throw error;
-    }
+    // Step 5: Start animation loop (before the point cloud exists, so the page keeps rendering while it builds)
+    animate();
+    console.log('✅ Animation loop started');
 
-    // Step 6: Create point cloud
-    const pointCloud = createPointCloud();
+    // Step 6: Load the requested figure and create its point cloud (generated in tree-worker.js)
+    const pointCloud = await loadFigure(getRequestedFigureName());
     if (!pointCloud) {
       console.warn('⚠️ Point cloud creation failed or returned null');
     } else {
       console.log('✅ Point cloud created successfully');
     }
 
-    // Step 7: Start animation loop
-    animate();
-    console.log('✅ Animation loop started');
-
     console.log('✅ Tree Page Fully Initialized');
     console.log('🌱 Tree starts as a SAPLING - Click "BUILD YOUR OWN" to watch it GROW!');
     console.log('🖱️ After growth, particles will flow upward continuously');
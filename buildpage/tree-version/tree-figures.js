@@ -0,0 +1,165 @@
+// TREE PAGE: Figure Registry
+// Every shape the point cloud can take (tree, logo, skyline, ...) is registered here by name.
+// A figure declares its image (or imported point cloud), sampling, depth profile, color, flow, growth and spark settings;
+// anything it leaves out falls back to FIGURE_DEFAULTS (which are the tree's values).
+
+// ===== DEFAULT FIGURE SETTINGS =====
+const FIGURE_DEFAULTS = {
+  image: null,                    // PNG with dark pixels on transparent background
+  cloud: null,                    // Precomputed cloud (.ply or .json from exportCloud) - skips generation
+  points: null,                   // External cloud to import instead of sampling the image (.ply/.xyz/.pcd URL or File)
+  size: 1024,                     // Sampling canvas size (image is fitted inside, aspect kept)
+  displayScale: 0.576,            // Scale to fit 590px display (590/1024 = 0.576)
+  particleSize: 3.6,              // Slightly larger for better visibility
+  sampling: {
+    density: 1,                   // Sample every pixel for maximum detail
+    alphaThreshold: 128,          // Pixel needs alpha above this...
+    brightnessThreshold: 128,     // ...and brightness below this to become a particle
+    maxPoints: null,              // Imported clouds: keep a random subset of about this many points
+    upAxis: 'y'                   // Imported clouds: 'z' for Z-up files (most scanners)
+  },
+  // Image figures only - imported clouds keep their real depth
+  depth: {
+    range: 25,                    // Much tighter depth to prevent blob effect
+    // Depth multiplier by normalized height (0 = bottom, 1 = top), first match wins
+    // Only the base gets real depth, everything above is nearly flat
+    profile: [
+      { above: 0.5, multiplier: 0.12 },   // Upper branches: almost completely 2D
+      { above: 0.3, multiplier: 0.18 },   // Mid-lower branches: extremely tight
+      { above: 0.15, multiplier: 0.4 },   // Lower trunk: moderate depth
+      { above: -Infinity, multiplier: 1.0 } // Trunk base only: full depth
+    ]
+  },
+  // PARTICLE COLOR - colors are '#rrggbb' strings or [r, g, b] arrays (0-1)
+  color: {
+    mode: 'auto',                 // 'auto' (imported colors, else base) | 'source' (also image pixels) | 'solid' | 'height' | 'growth'
+    base: [0.1, 0.1, 0.1],        // Dark gray particles on the light page
+    // Ramp for 'height' (0 = bottom, 1 = top) and 'growth' (0 = grows first, 1 = grows last)
+    ramp: [
+      { at: 0.0, color: '#3b2a1f' },      // Bark brown at the base
+      { at: 0.6, color: '#4a5a2c' },
+      { at: 1.0, color: '#6f8f3a' }       // Leaf green at the tips
+    ],
+    sparkRamp: null,              // Spark color over its life (0 = pop, 1 = faded), null = keep particle color
+    member: '#c2410c',            // User Points (particles bound to members, see bindMembers in tree-engine.js)
+    // Overrides used with the dark theme (see CONFIG.theme in tree-engine.js)
+    dark: {
+      base: [0.92, 0.9, 0.86],    // Warm off-white particles on the dark page
+      member: '#ffb347',
+      sparkRamp: [
+        { at: 0.0, color: '#fff3c4' },    // White-hot pop
+        { at: 0.3, color: '#ffb347' },    // Ember orange
+        { at: 1.0, color: '#b3261e' }     // Cooling red
+      ]
+    }
+  },
+  // ANIMATION SETTINGS - Continuous upward flow (shape stays intact)
+  flow: {
+    speed: 0.12,                  // Even slower to reduce blur
+    height: 8,                    // Shorter travel to keep particles in branch lines
+    turbulence: 0.04              // Minimal horizontal drift to maintain sharp branches
+  },
+  // GROWTH ANIMATION SETTINGS
+  growth: {
+    pattern: 'classic',           // Growth order: 'classic' | 'skeleton' | 'radial' | 'bottomUp' | 'topDown' | 'scatter' | custom (see tree-growth-patterns.js)
+    extendRoots: true,            // Grow radiating roots below the base
+    extendBranches: true,         // Extend branch tips outward
+    branching: 'heuristic',       // 'heuristic' (guess from neighbors) | 'skeleton' (follow the figure's limbs, tree-skeleton.js)
+    skeleton: null,               // Overrides for SKELETON_DEFAULTS in tree-skeleton.js (reach, root count, thickness...)
+    saplingParticleRatio: 0.5,    // Show 50% of particles in sapling for denser appearance
+    saplingHeightRange: [0.0, 0.45], // Show bottom 45% of figure height
+    saplingTaperExtension: 150,   // Larger random upward extension (px) for gradual taper
+    saplingTaperStart: 0.7,       // Start tapering from 70% of sapling height
+    duration: 10.0                // Growth animation duration in seconds
+  },
+  sparks: {
+    rates: {                // Sparks per second from each emitter region (0 = off, see tree-sparks.js)
+      all: 150,             // Anywhere on the figure
+      roots: 50,            // Bottom 20% of the figure
+      outer: 50             // Outer 30%, farthest from the center
+    },
+    popIntensity: 15,       // How far the initial "pop" pushes the particle
+    floatSpeed: 0.8,        // How fast the spark floats upward
+    floatHeight: 150,       // How far up the spark travels before fading
+    curveAmplitude: 20,     // How much the spark curves side-to-side
+    curveFrequency: 0.02,   // How wavy the curve is
+    fadeDuration: 3000,     // How long the spark takes to fade out (ms)
+    opacityBoost: 1.5,      // Multiply spark opacity by this amount (brighter sparks)
+  }
+};
+
+const figures = new Map();
+
+// ===== REGISTRY API =====
+export function registerFigure(name, definition) {
+  const figure = { name };
+
+  // Merge each settings group so a figure can override a single value, nested ones included
+  Object.keys(FIGURE_DEFAULTS).forEach(key => {
+    figure[key] = mergeSettings(FIGURE_DEFAULTS[key], definition[key]);
+  });
+
+  if (!figure.image && !figure.points && !figure.cloud) {
+    throw new Error(`Figure "${name}" needs an image, points or cloud`);
+  }
+
+  figures.set(name, figure);
+  return figure;
+}
+
+// Plain-object groups merge key by key at any depth (color.dark.base keeps color.dark.member);
+// arrays (ramps, depth profiles) and other values replace the default
+function mergeSettings(defaultValue, value) {
+  if (isPlainObject(defaultValue) && (value === undefined || isPlainObject(value))) {
+    const merged = { ...defaultValue };
+    Object.entries(value || {}).forEach(([key, override]) => {
+      merged[key] = mergeSettings(defaultValue[key], override);
+    });
+    return merged;
+  }
+  return value !== undefined ? value : defaultValue;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+export function getFigure(name) {
+  const figure = figures.get(name);
+  if (!figure) {
+    throw new Error(`Unknown figure "${name}" (registered: ${listFigures().join(', ')})`);
+  }
+  return figure;
+}
+
+export function listFigures() {
+  return [...figures.keys()];
+}
+
+// Depth multiplier for a normalized height, from the figure's depth profile
+export function getDepthMultiplier(figure, normalizedY) {
+  const band = figure.depth.profile.find(entry => normalizedY > entry.above);
+  return band ? band.multiplier : 1.0;
+}
+
+// ===== BUILT-IN FIGURES =====
+registerFigure('tree', {
+  image: 'tree-transparent.png',  // Source image is 1024x1024
+  growth: { branching: 'skeleton' }
+});
+
+registerFigure('logo', {
+  image: '/assets/BlackLogo.png',
+  particleSize: 3.0,
+  sampling: { density: 2 },       // Logo is solid, every 2nd pixel is plenty
+  depth: {
+    range: 12,
+    profile: [{ above: -Infinity, multiplier: 1.0 }]  // Even, shallow depth everywhere
+  },
+  growth: {
+    extendRoots: false,
+    extendBranches: false,
+    saplingHeightRange: [0.0, 0.3],
+    duration: 6.0
+  }
+});
@@ -0,0 +1,513 @@
+// TREE PAGE: Point Cloud Generator
+// Turns a figure's pixels (or an imported point cloud) into particle data:
+// sampling, root and branch extensions, sapling selection.
+// No DOM or Three.js in here, so tree-worker.js can run it off the main thread
+// (tree-engine.js falls back to calling it directly when workers are unavailable).
+
+import { getDepthMultiplier } from './tree-figures.js';
+import { SpatialHash } from './tree-spatial-hash.js';
+import { createRandom, shuffled } from './tree-random.js';
+import { readPointFile } from './tree-cloud-io.js';
+import { computeGrowthOrder } from './tree-growth-patterns.js';
+import { extractSkeleton, growSkeletonBranches, growSkeletonRoots } from './tree-skeleton.js';
+
+// ===== GENERATE FIGURE =====
+// pixels: RGBA bytes of the figure drawn on a white figure.size square (see rasterizeFigure in tree-engine.js)
+// seed: every random choice comes from createRandom(seed), so the same seed gives the identical cloud
+// onProgress(stage, progress) is called with stage 'sampling' | 'skeleton' | 'roots' | 'branches' | 'sapling' | 'done'
+// Returns packed arrays so they can be transferred between threads without copying:
+//   positions   - Float32Array(count * 3), final display positions
+//   growthOrder - Float32Array(count), 0 = grows first (base/trunk), 1 = grows last (top/edges)
+//   sapling     - Uint8Array(count), 1 if the particle is visible in the sapling
+//   colors      - Float32Array(count * 3) 0-1 RGB (image pixels with color.mode 'source', imported clouds with colors), otherwise null
+export function generateFigure(figure, pixels, width, height, seed, onProgress = () => {}) {
+  const random = createRandom(seed);
+  const positions = [];
+  const samplingStep = figure.sampling.density;
+  const halfSize = figure.size / 2;
+  const progressRows = Math.max(1, Math.floor(height / 20));
+  const keepColors = figure.color.mode === 'source';
+
+  // Sample pixels to create point cloud
+  for (let y = 0; y < height; y += samplingStep) {
+    for (let x = 0; x < width; x += samplingStep) {
+      const i = (y * width + x) * 4;
+
+      const r = pixels[i];
+      const g = pixels[i + 1];
+      const b = pixels[i + 2];
+      const alpha = pixels[i + 3];
+
+      const brightness = (r + g + b) / 3;
+
+      // Include pixels that are dark (part of figure) and have alpha
+      // Threshold at 128 for more defined, solid branches
+      if (alpha > figure.sampling.alphaThreshold && brightness < figure.sampling.brightnessThreshold) {
+        const posX = x - width / 2;
+        const posY = -(y - height / 2);
+
+        // EXTREMELY tight depth for ALL branches - almost 2D to prevent blob
+        // Y ranges from -size/2 (bottom) to +size/2 (top)
+        const normalizedY = (posY + halfSize) / figure.size; // 0 (bottom) to 1 (top)
+
+        // Progressive depth reduction from the figure's depth profile
+        const depthMultiplier = getDepthMultiplier(figure, normalizedY);
+
+        const posZ = (random() - 0.5) * figure.depth.range * depthMultiplier;
+
+        const pos = { x: posX, y: posY, z: posZ };
+        if (keepColors) {
+          pos.color = [r / 255, g / 255, b / 255];
+        }
+        positions.push(pos);
+      }
+    }
+
+    if (y % progressRows < samplingStep) {
+      onProgress('sampling', y / height);
+    }
+  }
+
+  return finishCloud(figure, positions, random, onProgress);
+}
+
+// ===== GENERATE FROM POINTS =====
+// points: raw cloud from readPointFile (tree-cloud-io.js), in the file's own units
+// The cloud is centered and scaled so its X/Y extent fills figure.size (like a fitted image),
+// keeping its real depth, then gets the same roots/branches/sapling treatment as an image figure
+export function generateFromPoints(figure, points, seed, onProgress = () => {}) {
+  const random = createRandom(seed);
+  const zUp = figure.sampling.upAxis === 'z';
+
+  // Dense scans: keep a random subset of about maxPoints
+  const keepRatio = figure.sampling.maxPoints && points.count > figure.sampling.maxPoints
+    ? figure.sampling.maxPoints / points.count
+    : 1;
+
+  const raw = [];
+  let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity, minZ = Infinity, maxZ = -Infinity;
+  const progressStep = Math.max(1, Math.floor(points.count / 20));
+
+  for (let i = 0; i < points.count; i++) {
+    if (i % progressStep === 0) {
+      onProgress('sampling', i / points.count);
+    }
+    if (keepRatio < 1 && random() >= keepRatio) continue;
+
+    const x = points.positions[i * 3];
+    // Z-up files (common for scans): their Z becomes our Y
+    const y = zUp ? points.positions[i * 3 + 2] : points.positions[i * 3 + 1];
+    const z = zUp ? -points.positions[i * 3 + 1] : points.positions[i * 3 + 2];
+    if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) continue;
+
+    raw.push({ x, y, z, index: i });
+    if (x < minX) minX = x;
+    if (x > maxX) maxX = x;
+    if (y < minY) minY = y;
+    if (y > maxY) maxY = y;
+    if (z < minZ) minZ = z;
+    if (z > maxZ) maxZ = z;
+  }
+
+  // Fit the X/Y extent into the figure.size square, centered like a drawn image
+  const scale = figure.size / Math.max(maxX - minX, maxY - minY, 1e-6);
+  const centerX = (minX + maxX) / 2;
+  const centerY = (minY + maxY) / 2;
+  const centerZ = (minZ + maxZ) / 2;
+
+  const positions = raw.map(({ x, y, z, index }) => ({
+    x: (x - centerX) * scale,
+    y: (y - centerY) * scale,
+    z: (z - centerZ) * scale,
+    color: points.colors
+      ? [points.colors[index * 3], points.colors[index * 3 + 1], points.colors[index * 3 + 2]]
+      : undefined
+  }));
+
+  return finishCloud(figure, positions, random, onProgress);
+}
+
+// Worker and main-thread entry point
+// source: { kind: 'image', pixels, width, height } or { kind: 'points', buffer, fileName }
+export function generateFromSource(figure, source, seed, onProgress) {
+  if (source.kind === 'points') {
+    const points = readPointFile(source.buffer, { fileName: source.fileName });
+    console.log(`📥 Read ${points.count} points from ${source.fileName || 'point file'}`);
+    return generateFromPoints(figure, points, seed, onProgress);
+  }
+  return generateFigure(figure, new Uint8ClampedArray(source.pixels), source.width, source.height, seed, onProgress);
+}
+
+// ===== FINISH CLOUD =====
+// Shared by image and imported figures: roots, branches, sapling selection, growth order, packing
+// positions: [{ x, y, z, color? }] in figure.size units, centered on the origin
+function finishCloud(figure, positions, random, onProgress) {
+  if (positions.length === 0) {
+    onProgress('done', 1);
+    return { count: 0, positions: new Float32Array(0), growthOrder: new Float32Array(0), sapling: new Uint8Array(0), colors: null };
+  }
+
+  console.log(`✅ Created point cloud with ${positions.length} particles`);
+
+  // ===== SKELETON =====
+  // With growth.branching 'skeleton', roots and branches follow the figure's limbs (tree-skeleton.js)
+  // Falls back to the neighbor-offset heuristics below if the skeleton can't be built
+  let skeleton = null;
+  if (figure.growth.branching === 'skeleton' && (figure.growth.extendRoots || figure.growth.extendBranches)) {
+    onProgress('skeleton', 0);
+    try {
+      skeleton = extractSkeleton(positions, figure.size, figure.growth.skeleton);
+      console.log(`🦴 Skeleton: ${skeleton.nodes.length} nodes, ${skeleton.edges.length} limbs`);
+      if (skeleton.edges.length === 0) skeleton = null;
+    } catch (error) {
+      console.error('❌ Error extracting skeleton:', error);
+      skeleton = null;
+    }
+    if (!skeleton) {
+      console.log('⚠️ No usable skeleton, extending roots and branches heuristically');
+    }
+  }
+
+  // Both growers read the figure as sampled, so take a copy before adding to it
+  const sampledPositions = skeleton ? positions.slice() : positions;
+
+  // ===== EXTEND ROOTS =====
+  // Find particles at the bottom (roots area) and extend some of them downward
+  if (figure.growth.extendRoots) {
+    onProgress('roots', 0);
+    try {
+      const rootExtensions = skeleton
+        ? growSkeletonRoots(skeleton, sampledPositions, figure.growth.skeleton, random)
+        : extendRoots(positions, random);
+      rootExtensions.forEach(p => positions.push(p));
+      console.log(`🌱 Added ${rootExtensions.length} root extension particles`);
+    } catch (error) {
+      console.error('❌ Error creating roots:', error);
+      console.log('⚠️ Continuing without root extensions');
+    }
+  }
+
+  // ===== EXTEND BRANCHES =====
+  // Extend branch tips outward by 30px
+  if (figure.growth.extendBranches) {
+    onProgress('branches', 0);
+    try {
+      const branchExtensions = skeleton
+        ? growSkeletonBranches(skeleton, sampledPositions, figure.growth.skeleton, random)
+        : extendBranches(positions, random);
+      branchExtensions.forEach(p => positions.push(p));
+      console.log(`🌿 Added ${branchExtensions.length} branch extension particles`);
+    } catch (error) {
+      console.error('❌ Error extending branches:', error);
+      console.log('⚠️ Continuing without branch extensions');
+    }
+  }
+
+  onProgress('sapling', 0);
+
+  // Calculate tree bounds (a loop, not Math.min(...) - spreading this many values overflows the stack)
+  let minY = Infinity;
+  let maxY = -Infinity;
+  positions.forEach(p => {
+    if (p.y < minY) minY = p.y;
+    if (p.y > maxY) maxY = p.y;
+  });
+  const treeHeight = maxY - minY;
+
+  // Sapling cutoff: bottom 45% of tree
+  const saplingMaxY = minY + (treeHeight * figure.growth.saplingHeightRange[1]);
+
+  // Filter particles in sapling height range
+  const saplingCandidates = positions.filter(pos => pos.y <= saplingMaxY);
+
+  // Randomly select a subset for sparse sapling (25% of candidates)
+  const saplingParticleCount = Math.floor(saplingCandidates.length * figure.growth.saplingParticleRatio);
+  const saplingParticleSet = new Set(shuffled(saplingCandidates, random).slice(0, saplingParticleCount));
+
+  // ===== IDENTIFY TOP EDGE PARTICLES AND EXTEND THEM =====
+  // Find particles in the taper zone (top 30% of sapling height)
+  const taperStartY = minY + (treeHeight * figure.growth.saplingHeightRange[1] * figure.growth.saplingTaperStart);
+  const topEdgeParticles = Array.from(saplingParticleSet).filter(pos => pos.y >= taperStartY);
+
+  // Create a map to store Y-extensions for top particles
+  const particleExtensions = new Map();
+  topEdgeParticles.forEach(pos => {
+    // Calculate how close to the top (0 = at taperStart, 1 = at cutoff)
+    const taperProgress = (pos.y - taperStartY) / (saplingMaxY - taperStartY);
+    // More extension for particles closer to the top
+    const maxExtension = figure.growth.saplingTaperExtension * taperProgress;
+    const extension = random() * maxExtension;
+    particleExtensions.set(pos, extension);
+  });
+
+  console.log(`🌿 Extending ${topEdgeParticles.length} top particles with gradual taper`);
+
+  // Pack particle data - ALL at final positions
+  const count = positions.length;
+  const packedPositions = new Float32Array(count * 3);
+  const sapling = new Uint8Array(count);
+  // Extension particles inherit their parent's color, so either all particles have one or none do
+  const colors = positions[0].color ? new Float32Array(count * 3) : null;
+
+  positions.forEach((pos, i) => {
+    // Final position (all particles here), with the Y-extension for top edge particles
+    packedPositions[i * 3] = pos.x * figure.displayScale;
+    packedPositions[i * 3 + 1] = (pos.y + (particleExtensions.get(pos) || 0)) * figure.displayScale;
+    packedPositions[i * 3 + 2] = pos.z * figure.displayScale;
+
+    // Check if this particle is visible in sapling
+    sapling[i] = saplingParticleSet.has(pos) ? 1 : 0;
+
+    if (colors) {
+      colors[i * 3] = pos.color[0];
+      colors[i * 3 + 1] = pos.color[1];
+      colors[i * 3 + 2] = pos.color[2];
+    }
+  });
+
+  // Growth order from the figure's growth pattern (tree-growth-patterns.js), normalized to the final cloud's bounds
+  const growthOrder = computeGrowthOrder(packedPositions, figure.growth.pattern, random);
+
+  onProgress('done', 1);
+  return { count, positions: packedPositions, growthOrder, sapling, colors };
+}
+
+// ===== ROOT EXTENSION FUNCTION =====
+// Creates wider, more radiating roots that spread outward for a grounded appearance
+function extendRoots(positions, random) {
+  const newParticles = [];
+
+  // Find the bottom 15% of particles (root base area)
+  const sortedByY = [...positions].sort((a, b) => a.y - b.y);
+  const bottomThreshold = sortedByY[Math.floor(sortedByY.length * 0.15)].y;
+  const rootBaseParticles = positions.filter(p => p.y <= bottomThreshold);
+
+  // Find center of root base
+  const centerX = rootBaseParticles.reduce((sum, p) => sum + p.x, 0) / rootBaseParticles.length;
+  const centerZ = rootBaseParticles.reduce((sum, p) => sum + p.z, 0) / rootBaseParticles.length;
+
+  // Select MORE starting points for wider root spread (but limit to prevent stack overflow)
+  const rootStarts = rootBaseParticles.filter(() => random() < 0.20);
+  const maxRootStarts = 50; // Safety limit to prevent stack overflow
+  const limitedRootStarts = rootStarts.slice(0, maxRootStarts);
+
+  console.log(`Creating roots from ${limitedRootStarts.length} starting points (limited from ${rootStarts.length})`);
+
+  // Create branching root structure for each starting point
+  limitedRootStarts.forEach(startParticle => {
+    // Calculate outward direction from center
+    const outwardX = startParticle.x - centerX;
+    const outwardZ = startParticle.z - centerZ;
+    const outwardMag = Math.sqrt(outwardX * outwardX + outwardZ * outwardZ) || 1;
+
+    createRootBranch(startParticle, newParticles, 0, 1.0, outwardX / outwardMag, outwardZ / outwardMag, random);
+  });
+
+  return newParticles;
+}
+
+// Recursive function to create a single branching root with outward bias
+function createRootBranch(startPos, particleArray, depth, thickness, biasX, biasZ, random) {
+  // Safety check to prevent infinite recursion (reduced from 3 to 2 for safety)
+  if (depth >= 2 || thickness < 0.2 || particleArray.length > 100000) {
+    return;
+  }
+
+  const branchLength = 50 + random() * 70; // Longer roots for wider spread
+  const segments = Math.floor(branchLength / 4);
+
+  // Direction: STRONGLY outward and down (wider root system)
+  let angleX = biasX * 1.2 + (random() - 0.5) * 0.4; // Strong horizontal spread
+  let angleY = -0.6 - random() * 0.3; // Less downward, more outward
+  let angleZ = biasZ * 1.2 + (random() - 0.5) * 0.4; // 3D outward spread
+
+  let currentX = startPos.x;
+  let currentY = startPos.y;
+  let currentZ = startPos.z;
+
+  // Draw this root segment with curves
+  for (let i = 0; i < segments; i++) {
+    const progress = i / segments;
+
+    // Add organic curves and irregularities
+    angleX += (random() - 0.5) * 0.25;
+    angleY += (random() - 0.5) * 0.15;
+    angleZ += (random() - 0.5) * 0.25;
+
+    // Move along the root with outward emphasis
+    currentX += angleX * 3.5;
+    currentY += angleY * 3;
+    currentZ += angleZ * 3.5;
+
+    // Thickness decreases along the root (tapering) - LESS dense
+    const currentThickness = thickness * (1 - progress * 0.5);
+    const particlesInRing = Math.max(1, Math.floor(currentThickness * 4)); // Reduced from 6
+
+    // Create particles around this point (gives thickness) - more sparse
+    for (let p = 0; p < particlesInRing; p++) {
+      const spreadRadius = currentThickness * 1.5; // Tighter spread
+      const xSpread = (random() - 0.5) * spreadRadius;
+      const zSpread = (random() - 0.5) * spreadRadius;
+
+      particleArray.push({
+        x: currentX + xSpread,
+        y: currentY,
+        z: currentZ + zSpread,
+        color: startPos.color
+      });
+    }
+  }
+
+  // Chance to branch (split into sub-roots) - more branching for complexity
+  // Reduced depth check from 2 to 1 for safety
+  if (depth < 1 && random() < 0.35 && particleArray.length < 80000) {
+    const numBranches = random() < 0.7 ? 2 : 3; // Usually 2, sometimes 3
+
+    for (let b = 0; b < numBranches; b++) {
+      const branchStart = {
+        x: currentX + (random() - 0.5) * 15,
+        y: currentY,
+        z: currentZ + (random() - 0.5) * 15,
+        color: startPos.color
+      };
+
+      // Sub-branches maintain outward direction with variation
+      const newBiasX = angleX + (random() - 0.5) * 0.5;
+      const newBiasZ = angleZ + (random() - 0.5) * 0.5;
+
+      // Sub-branches are thinner
+      createRootBranch(branchStart, particleArray, depth + 1, thickness * 0.6, newBiasX, newBiasZ, random);
+    }
+  }
+}
+
+// ===== BRANCH EXTENSION FUNCTION =====
+// Extends branches outward with more spread, variation, and natural irregularity
+function extendBranches(positions, random) {
+  const newParticles = [];
+
+  // Find center of tree mass
+  const centerX = positions.reduce((sum, p) => sum + p.x, 0) / positions.length;
+  const centerY = positions.reduce((sum, p) => sum + p.y, 0) / positions.length;
+
+  // Find Y bounds
+  const sortedByY = [...positions].sort((a, b) => a.y - b.y);
+  const minY = sortedByY[0].y;
+  const maxY = sortedByY[sortedByY.length - 1].y;
+  const treeHeight = maxY - minY;
+
+  // Focus on WIDER range 30-80% of tree height for more branching throughout
+  const middleStart = minY + treeHeight * 0.3;
+  const middleEnd = minY + treeHeight * 0.8;
+
+  // Find particles in middle section
+  const middleParticles = positions.filter(p => p.y >= middleStart && p.y <= middleEnd);
+
+  // Find outer particles (branch tips) in middle section
+  const particlesWithDistance = middleParticles.map(p => {
+    const dx = p.x - centerX;
+    const dy = p.y - centerY;
+    return {
+      particle: p,
+      distance: Math.sqrt(dx * dx + dy * dy),
+      angle: Math.atan2(dy, dx)
+    };
+  });
+
+  // Sort by distance and take only the outer 25% (more branch tips)
+  particlesWithDistance.sort((a, b) => b.distance - a.distance);
+  const outerParticles = particlesWithDistance.slice(0, Math.floor(middleParticles.length * 0.25));
+
+  // For each outer particle, find nearby particles to determine branch direction
+  const neighborRadius = 15;
+  const middleHash = SpatialHash.fromPoints(middleParticles, neighborRadius);
+
+  const branchTips = outerParticles.map(({ particle }) => {
+    // Find particles near this one (within 15px)
+    const nearby = [];
+    middleHash.forEachNear(particle.x, particle.y, particle.z, neighborRadius, (p, distanceSquared) => {
+      if (distanceSquared > 0 && distanceSquared < neighborRadius * neighborRadius) {
+        nearby.push(p);
+      }
+    });
+
+    if (nearby.length === 0) return null;
+
+    // Calculate average direction FROM nearby particles TO this tip
+    let avgDx = 0, avgDy = 0, avgDz = 0;
+    nearby.forEach(p => {
+      avgDx += particle.x - p.x;
+      avgDy += particle.y - p.y;
+      avgDz += particle.z - p.z;
+    });
+    avgDx /= nearby.length;
+    avgDy /= nearby.length;
+    avgDz /= nearby.length;
+
+    // Normalize direction
+    const magnitude = Math.sqrt(avgDx * avgDx + avgDy * avgDy + avgDz * avgDz);
+    if (magnitude === 0) return null;
+
+    return {
+      particle,
+      directionX: avgDx / magnitude,
+      directionY: avgDy / magnitude,
+      directionZ: avgDz / magnitude
+    };
+  }).filter(tip => tip !== null);
+
+  // Sample MORE tips to extend (20% instead of 15%) for fuller branching
+  const sampled = branchTips.filter(() => random() < 0.20);
+
+  sampled.forEach(({ particle, directionX, directionY, directionZ }) => {
+    let currentX = particle.x;
+    let currentY = particle.y;
+    let currentZ = particle.z;
+
+    // VARIABLE extension length for natural variation (30-60px)
+    const extensionLength = 30 + random() * 30;
+    const extensionSegments = Math.floor(extensionLength / 3);
+    const segmentLength = 3;
+
+    // Add outward bias to spread branches horizontally
+    const outwardBiasX = (particle.x - centerX) / Math.abs(particle.x - centerX || 1) * 0.3;
+    const outwardBiasZ = (random() - 0.5) * 0.2;
+
+    for (let i = 1; i <= extensionSegments; i++) {
+      const progress = i / extensionSegments;
+
+      // Add MORE organic curve and irregularity
+      const curveX = (random() - 0.5) * 0.4;
+      const curveY = (random() - 0.5) * 0.3;
+      const curveZ = (random() - 0.5) * 0.4;
+
+      // Move along branch direction with OUTWARD bias and variation
+      currentX += (directionX + outwardBiasX) * segmentLength + curveX;
+      currentY += (directionY - 0.1) * segmentLength + curveY; // Slight downward droop
+      currentZ += (directionZ + outwardBiasZ) * segmentLength + curveZ;
+
+      // VERY sparse density to keep branches as clean lines
+      const density = Math.pow(1 - progress, 2.0) * 0.4; // Much less dense
+
+      // Only add particles based on probability (very sparse, line-like branches)
+      if (random() < density) {
+        const particlesAtSegment = 1; // Single particle only - no clustering
+
+        for (let p = 0; p < particlesAtSegment; p++) {
+          // EXTREMELY tight spread - almost no deviation from branch line
+          const spread = (1 - progress) * 0.5; // Half the previous spread
+
+          newParticles.push({
+            x: currentX + (random() - 0.5) * spread,
+            y: currentY + (random() - 0.5) * spread,
+            z: currentZ + (random() - 0.5) * spread * 0.3, // Even tighter in Z
+            color: particle.color
+          });
+        }
+      }
+    }
+  });
+
+  return newParticles;
+}
+
@@ -0,0 +1,193 @@
+// TREE PAGE: Growth Patterns
+// A growth pattern decides each particle's growthOrder: the order the growth wave reveals the figure in
+// (0 = first, 1 = last). Figures pick one by name with growth.pattern; page code can register its own.
+// Every pattern sees the cloud's real bounds, so they work for any figure size or imported cloud.
+// Plain ES module (no DOM), used by tree-generator.js inside the worker and by tree-engine.js.
+
+export const DEFAULT_GROWTH_PATTERN = 'classic';
+
+const SKELETON_RESOLUTION = 128;  // Grid cells across the figure's largest side for skeleton traversal
+const SKELETON_BASE = 0.05;       // Bottom share of the height the skeleton starts growing from
+
+const patterns = new Map();
+
+// ===== REGISTRY API =====
+// pattern(positions, bounds, random) returns one value per particle (any range, lower grows first)
+//   positions - Float32Array of x, y, z per particle
+//   bounds    - { min, max, size, center } ({ x, y, z } each) of the whole cloud
+//   random    - seeded Math.random() replacement (see tree-random.js)
+// Wrap a per-particle function with perPoint() instead of looping yourself
+export function registerGrowthPattern(name, pattern) {
+  if (typeof pattern !== 'function') {
+    throw new Error(`Growth pattern "${name}" must be a function`);
+  }
+  patterns.set(name, pattern);
+}
+
+export function listGrowthPatterns() {
+  return [...patterns.keys()];
+}
+
+// Built-in patterns exist in every copy of this module (the worker has its own);
+// patterns registered at runtime and inline functions only exist on the page
+export function isBuiltInGrowthPattern(pattern) {
+  return typeof pattern === 'string' && BUILT_IN_PATTERNS.includes(pattern);
+}
+
+// pointPattern(point, bounds, random) with point = { x, y, z, nx, ny, nz, index }
+// nx/ny/nz are 0-1 within the bounds (ny = 0 at the bottom)
+export function perPoint(pointPattern) {
+  return (positions, bounds, random) => {
+    const count = positions.length / 3;
+    const values = new Float32Array(count);
+    for (let i = 0; i < count; i++) {
+      const x = positions[i * 3];
+      const y = positions[i * 3 + 1];
+      const z = positions[i * 3 + 2];
+      values[i] = pointPattern({
+        x, y, z,
+        nx: bounds.size.x > 0 ? (x - bounds.min.x) / bounds.size.x : 0,
+        ny: bounds.size.y > 0 ? (y - bounds.min.y) / bounds.size.y : 0,
+        nz: bounds.size.z > 0 ? (z - bounds.min.z) / bounds.size.z : 0,
+        index: i
+      }, bounds, random);
+    }
+    return values;
+  };
+}
+
+// growthOrder for packed positions, rescaled to exactly 0-1
+// pattern: a registered name or a pattern function
+export function computeGrowthOrder(positions, pattern, random) {
+  const resolved = typeof pattern === 'function' ? pattern : patterns.get(pattern);
+  if (!resolved) {
+    throw new Error(`Unknown growth pattern "${pattern}" (registered: ${listGrowthPatterns().join(', ')})`);
+  }
+
+  const count = positions.length / 3;
+  const values = resolved(positions, getBounds(positions), random);
+  if (!values || values.length !== count) {
+    throw new Error(`Growth pattern "${typeof pattern === 'function' ? pattern.name || 'custom' : pattern}" must return one value per particle`);
+  }
+
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = 0; i < count; i++) {
+    if (values[i] < min) min = values[i];
+    if (values[i] > max) max = values[i];
+  }
+  const range = max - min || 1;
+
+  const growthOrder = new Float32Array(count);
+  for (let i = 0; i < count; i++) {
+    growthOrder[i] = Number.isFinite(values[i]) ? (values[i] - min) / range : 1;
+  }
+  return growthOrder;
+}
+
+function getBounds(positions) {
+  const min = { x: Infinity, y: Infinity, z: Infinity };
+  const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+  for (let i = 0; i < positions.length; i += 3) {
+    if (positions[i] < min.x) min.x = positions[i];
+    if (positions[i] > max.x) max.x = positions[i];
+    if (positions[i + 1] < min.y) min.y = positions[i + 1];
+    if (positions[i + 1] > max.y) max.y = positions[i + 1];
+    if (positions[i + 2] < min.z) min.z = positions[i + 2];
+    if (positions[i + 2] > max.z) max.z = positions[i + 2];
+  }
+  return {
+    min,
+    max,
+    size: { x: max.x - min.x, y: max.y - min.y, z: max.z - min.z },
+    center: { x: (min.x + max.x) / 2, y: (min.y + max.y) / 2, z: (min.z + max.z) / 2 }
+  };
+}
+
+// ===== BUILT-IN PATTERNS =====
+// Bottom-to-top and center-to-edge: upside down V (^) starting from the roots
+// Weight: 60% height, 40% distance from the vertical center axis
+registerGrowthPattern('classic', perPoint((point, bounds) => {
+  const reach = Math.max(bounds.size.x, bounds.size.z) / 2 || 1;
+  const distance = Math.hypot(point.x - bounds.center.x, point.z - bounds.center.z);
+  return point.ny * 0.6 + Math.min(distance / reach, 1.0) * 0.4;
+}));
+
+// Burst outward from the figure's center
+registerGrowthPattern('radial', perPoint((point, bounds) => {
+  return Math.hypot(point.x - bounds.center.x, point.y - bounds.center.y, point.z - bounds.center.z);
+}));
+
+registerGrowthPattern('bottomUp', perPoint(point => point.ny));
+
+registerGrowthPattern('topDown', perPoint(point => 1 - point.ny));
+
+// Particles appear in random order (seeded, so the same seed scatters the same way)
+registerGrowthPattern('scatter', perPoint((point, bounds, random) => random()));
+
+// Grows along connected branches: a breadth-first walk over occupied grid cells, starting at the base
+// Parts that don't touch the rest (floating leaves, letters) start when the wave reaches their height
+registerGrowthPattern('skeleton', (positions, bounds) => {
+  const count = positions.length / 3;
+  const cellSize = Math.max(bounds.size.x, bounds.size.y, bounds.size.z) / SKELETON_RESOLUTION || 1;
+  const cells = new Map();          // "ix,iy,iz" → { ix, iy, iz, depth }
+  const particleCells = new Array(count);
+
+  for (let i = 0; i < count; i++) {
+    const ix = Math.floor((positions[i * 3] - bounds.min.x) / cellSize);
+    const iy = Math.floor((positions[i * 3 + 1] - bounds.min.y) / cellSize);
+    const iz = Math.floor((positions[i * 3 + 2] - bounds.min.z) / cellSize);
+    const key = `${ix},${iy},${iz}`;
+    let cell = cells.get(key);
+    if (!cell) {
+      cell = { ix, iy, iz, depth: -1 };
+      cells.set(key, cell);
+    }
+    particleCells[i] = cell;
+  }
+
+  // Walk outward from a set of start cells through the 26 neighbors of each cell
+  let maxDepth = 0;
+  function walk(startCells, startDepth) {
+    const queue = startCells;
+    queue.forEach(cell => { cell.depth = startDepth; });
+    for (let head = 0; head < queue.length; head++) {
+      const cell = queue[head];
+      maxDepth = Math.max(maxDepth, cell.depth);
+      for (let dx = -1; dx <= 1; dx++) {
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dz = -1; dz <= 1; dz++) {
+            const neighbor = cells.get(`${cell.ix + dx},${cell.iy + dy},${cell.iz + dz}`);
+            if (neighbor && neighbor.depth < 0) {
+              neighbor.depth = cell.depth + 1;
+              queue.push(neighbor);
+            }
+          }
+        }
+      }
+    }
+  }
+
+  const baseRows = Math.max(1, Math.floor(bounds.size.y * SKELETON_BASE / cellSize));
+  const allCells = [...cells.values()];
+  walk(allCells.filter(cell => cell.iy < baseRows), 0);
+
+  // Disconnected parts, lowest first, join in at the depth the main walk reached at their height
+  const topRow = Math.max(1, Math.floor(bounds.size.y / cellSize));
+  allCells
+    .filter(cell => cell.depth < 0)
+    .sort((a, b) => a.iy - b.iy)
+    .forEach(cell => {
+      if (cell.depth < 0) walk([cell], Math.round(cell.iy / topRow * maxDepth));
+    });
+
+  // Within a cell, lower particles go first so the wave doesn't step cell by cell
+  const values = new Float32Array(count);
+  for (let i = 0; i < count; i++) {
+    const withinCell = ((positions[i * 3 + 1] - bounds.min.y) / cellSize) - particleCells[i].iy;
+    values[i] = particleCells[i].depth + withinCell * 0.5;
+  }
+  return values;
+});
+
+const BUILT_IN_PATTERNS = listGrowthPatterns();
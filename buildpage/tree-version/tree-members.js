@@ -0,0 +1,82 @@
+// TREE PAGE: User Points
+// Every member of the community is one particle of the figure. Members are placed along the
+// figure's growth order by join date - founders in the trunk, the newest members at the tips -
+// so the cloud grows the way the community did. Plain ES module (no DOM), used by tree-engine.js.
+
+import { createRandom, deriveSeed } from './tree-random.js';
+
+// { id, name, joined } → copy with a string id and joined as a Date (null if missing or invalid)
+export function normalizeMember(record) {
+  if (!record || record.id === undefined || record.id === null) {
+    throw new Error('Member records need an id');
+  }
+  const joined = record.joined ? new Date(record.joined) : null;
+  return {
+    ...record,
+    id: String(record.id),
+    name: record.name ?? String(record.id),
+    joined: joined && !Number.isNaN(joined.getTime()) ? joined : null
+  };
+}
+
+// Particle indices ordered by growthOrder (first to grow first)
+export function rankByGrowth(particleArray) {
+  return particleArray
+    .map((particle, index) => index)
+    .sort((a, b) => particleArray[a].growthOrder - particleArray[b].growthOrder || a - b);
+}
+
+// Map of member id → particle index
+// The ranked particles are split into one band per member (oldest member = first band) and each
+// member takes a seeded pick inside its band, so a member's particle only depends on the seed,
+// its id and its place in the join order - reloading the same members gives the same tree
+export function assignMemberParticles(ranked, members, seed) {
+  const ordered = sortByJoined(members);
+  const count = Math.min(ordered.length, ranked.length);
+  if (ordered.length > ranked.length) {
+    console.warn(`⚠️ ${ordered.length} members but only ${ranked.length} particles, the newest ${ordered.length - count} are not shown`);
+  }
+
+  const bindings = new Map();
+  const taken = new Set();
+  for (let k = 0; k < count; k++) {
+    const bandStart = Math.floor(k * ranked.length / count);
+    const bandEnd = Math.floor((k + 1) * ranked.length / count);
+    const index = pickInBand(ranked, bandStart, bandEnd, taken, memberRandom(seed, ordered[k]));
+    taken.add(index);
+    bindings.set(ordered[k].id, index);
+  }
+  return bindings;
+}
+
+// A member who joins while the page is open goes to a free particle among the last to grow (the tips),
+// the band the next full assignment would give them
+export function pickNewMemberParticle(ranked, member, taken, seed) {
+  if (taken.size >= ranked.length) return null;
+  const bandSize = Math.max(1, Math.floor(ranked.length / (taken.size + 1)));
+  return pickInBand(ranked, ranked.length - bandSize, ranked.length, taken, memberRandom(seed, member));
+}
+
+// Oldest first; members without a date go last, ties by id
+function sortByJoined(members) {
+  return [...members].sort((a, b) => {
+    const aTime = a.joined ? a.joined.getTime() : Infinity;
+    const bTime = b.joined ? b.joined.getTime() : Infinity;
+    if (aTime !== bTime) return aTime < bTime ? -1 : 1;
+    return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+  });
+}
+
+// Random start inside the band, then the next free rank (wrapping past the band if it is full)
+function pickInBand(ranked, start, end, taken, random) {
+  const first = start + Math.floor(random() * (end - start));
+  for (let step = 0; step < ranked.length; step++) {
+    const index = ranked[(first + step) % ranked.length];
+    if (!taken.has(index)) return index;
+  }
+  return null;
+}
+
+function memberRandom(seed, member) {
+  return createRandom(deriveSeed(seed, `member:${member.id}`));
+}
@@ -0,0 +1,59 @@
+// TREE PAGE: Seeded Random
+// Every random choice in generation and sparks goes through one of these generators,
+// so the same seed always rebuilds the identical cloud (set CONFIG.seed or ?seed= in the URL).
+
+// Seeds can be numbers or any string ("demo", "42"); both end up as a 32-bit integer
+export function normalizeSeed(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return value >>> 0;
+  }
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) {
+    return Number(text) >>> 0;
+  }
+  return hashString(text);
+}
+
+// A fresh seed for loads that didn't ask for one (logged so the cloud can be reproduced)
+export function createSeed() {
+  return Math.floor(Math.random() * 0xffffffff) >>> 0;
+}
+
+// Independent stream for one part of the engine, e.g. deriveSeed(seed, 'sparks')
+// Keeps streams from shifting each other when one of them draws more numbers
+export function deriveSeed(seed, label) {
+  return hashString(`${seed}:${label}`);
+}
+
+// mulberry32: tiny, fast and good enough for visuals
+// Returns a function that behaves like Math.random()
+export function createRandom(seed) {
+  let state = normalizeSeed(seed);
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Fisher-Yates shuffle of a copy (sort(() => random() - 0.5) depends on the browser's sort)
+export function shuffled(array, random) {
+  const result = [...array];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+// FNV-1a
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
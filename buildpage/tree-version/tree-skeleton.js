@@ -0,0 +1,432 @@
+// TREE PAGE: Skeleton Branching
+// Finds the figure's limbs - a one-cell-wide centerline graph of its silhouette - and grows new roots
+// and branches from them with space colonization, so extensions continue real limbs instead of
+// directions guessed from neighboring pixels. Used by tree-generator.js when growth.branching is 'skeleton'.
+// Plain ES module (no DOM), runs inside the worker.
+
+import { SpatialHash } from './tree-spatial-hash.js';
+
+// ===== SETTINGS (override per figure with growth.skeleton) =====
+export const SKELETON_DEFAULTS = {
+  resolution: 256,              // Mask cells across figure.size (256 = 4px cells for the 1024px tree)
+  minSpur: 4,                   // End edges shorter than this (cells) are thinning noise and get pruned
+  tipZone: 0.25,                // Limb tips above this share of the height grow new branches...
+  rootZone: 0.15,               // ...limb ends in the bottom share grow roots
+  maxTips: 40,                  // Most tips to grow from (longest limbs first)
+  branchReach: 70,              // How far new branches grow past a tip (figure px)
+  branchSpread: 0.6,            // Radians either side of the limb direction new branches may take
+  rootReach: 120,               // How far roots spread below the base
+  rootCount: 7,                 // Roots fanning out from the base of the trunk
+  attractors: 24,               // Attraction points per tip / per root
+  step: 4,                      // Length of each growth step (figure px)
+  influence: 40,                // Attraction points pull the nearest limb end within this distance
+  kill: 8,                      // Attraction points this close to a limb are used up
+  thickness: 3,                 // Spread of particles around a new limb where it starts (thins to a third)
+  density: 1.2                  // Particles per px of new limb
+};
+
+const NEIGHBORS = [[-1, -1], [0, -1], [1, -1], [1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0]];
+
+// ===== SKELETON EXTRACTION =====
+// positions: [{ x, y, z }] in figure.size units, centered on the origin
+// Returns { nodes: [{ x, y, degree }], edges: [{ from, to, points: [{ x, y }] }], bounds: { minY, maxY } }
+// Nodes are limb ends (degree 1) and forks (degree 3+); each edge's points run from its `from` node to its `to` node
+export function extractSkeleton(positions, size, options = {}) {
+  const settings = { ...SKELETON_DEFAULTS, ...options };
+  const n = settings.resolution;
+  const cellSize = size / n;
+  const half = size / 2;
+
+  // Rasterize, then close the gaps left by sparse sampling before thinning
+  let mask = new Uint8Array(n * n);
+  let minY = Infinity;
+  let maxY = -Infinity;
+  positions.forEach(p => {
+    const ix = Math.floor((p.x + half) / cellSize);
+    const iy = Math.floor((half - p.y) / cellSize);
+    if (ix >= 1 && ix < n - 1 && iy >= 1 && iy < n - 1) {
+      mask[iy * n + ix] = 1;
+    }
+    if (p.y < minY) minY = p.y;
+    if (p.y > maxY) maxY = p.y;
+  });
+  mask = dilate(mask, n);
+  thin(mask, n);
+
+  const toPoint = index => ({
+    x: (index % n + 0.5) * cellSize - half,
+    y: half - (Math.floor(index / n) + 0.5) * cellSize
+  });
+  const graph = buildGraph(mask, n);
+  pruneSpurs(graph, settings.minSpur);
+
+  // Renumber the nodes that still have edges
+  const nodeIds = new Map();
+  const nodes = [];
+  graph.edges.forEach(edge => {
+    [edge.from, edge.to].forEach(pixel => {
+      if (!nodeIds.has(pixel)) {
+        nodeIds.set(pixel, nodes.length);
+        nodes.push({ ...toPoint(pixel), degree: 0 });
+      }
+    });
+  });
+  const edges = graph.edges.map(edge => {
+    const from = nodeIds.get(edge.from);
+    const to = nodeIds.get(edge.to);
+    nodes[from].degree++;
+    nodes[to].degree++;
+    return { from, to, points: edge.pixels.map(toPoint) };
+  });
+
+  return { nodes, edges, cellSize, bounds: { minY, maxY } };
+}
+
+// One step of 3x3 dilation
+function dilate(mask, n) {
+  const result = new Uint8Array(n * n);
+  for (let y = 1; y < n - 1; y++) {
+    for (let x = 1; x < n - 1; x++) {
+      if (!mask[y * n + x]) continue;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          result[(y + dy) * n + x + dx] = 1;
+        }
+      }
+    }
+  }
+  // Keep the border empty so neighbor lookups never wrap
+  for (let i = 0; i < n; i++) {
+    result[i] = result[(n - 1) * n + i] = result[i * n] = result[i * n + n - 1] = 0;
+  }
+  return result;
+}
+
+// Zhang-Suen thinning: peel boundary cells in two alternating passes until only centerlines remain
+function thin(mask, n) {
+  const removable = [];
+  let changed = true;
+
+  while (changed) {
+    changed = false;
+    for (let pass = 0; pass < 2; pass++) {
+      removable.length = 0;
+      for (let y = 1; y < n - 1; y++) {
+        for (let x = 1; x < n - 1; x++) {
+          const i = y * n + x;
+          if (!mask[i]) continue;
+
+          // p2..p9 clockwise from the cell above
+          const p2 = mask[i - n], p3 = mask[i - n + 1], p4 = mask[i + 1], p5 = mask[i + n + 1];
+          const p6 = mask[i + n], p7 = mask[i + n - 1], p8 = mask[i - 1], p9 = mask[i - n - 1];
+
+          const filled = p2 + p3 + p4 + p5 + p6 + p7 + p8 + p9;
+          if (filled < 2 || filled > 6) continue;
+
+          const transitions = (!p2 && p3) + (!p3 && p4) + (!p4 && p5) + (!p5 && p6) +
+            (!p6 && p7) + (!p7 && p8) + (!p8 && p9) + (!p9 && p2);
+          if (transitions !== 1) continue;
+
+          if (pass === 0 ? (p2 && p4 && p6) || (p4 && p6 && p8) : (p2 && p4 && p8) || (p2 && p6 && p8)) continue;
+          removable.push(i);
+        }
+      }
+      removable.forEach(i => { mask[i] = 0; });
+      if (removable.length > 0) changed = true;
+    }
+  }
+}
+
+// Limb ends and forks become nodes; the cell chains between them become edges
+// Cells are classified by crossing number (separate runs of filled neighbors around the cell), not by
+// neighbor count, so the staircase corners thinning leaves on diagonal limbs don't count as forks
+function buildGraph(mask, n) {
+  const neighborsOf = i => {
+    const result = [];
+    NEIGHBORS.forEach(([dx, dy]) => {
+      const j = i + dy * n + dx;
+      if (mask[j]) result.push(j);
+    });
+    return result;
+  };
+  const crossingNumber = i => {
+    let crossings = 0;
+    NEIGHBORS.forEach(([dx, dy], k) => {
+      const [nextDx, nextDy] = NEIGHBORS[(k + 1) % NEIGHBORS.length];
+      if (!mask[i + dy * n + dx] && mask[i + nextDy * n + nextDx]) crossings++;
+    });
+    return crossings;
+  };
+
+  const isNode = new Uint8Array(n * n);
+  for (let i = 0; i < mask.length; i++) {
+    if (mask[i] && crossingNumber(i) !== 2) isNode[i] = 1;
+  }
+
+  const visited = new Uint8Array(n * n);
+  const edges = [];
+  for (let start = 0; start < mask.length; start++) {
+    if (!isNode[start]) continue;
+
+    neighborsOf(start).forEach(first => {
+      if (isNode[first]) {
+        // Two nodes side by side: one edge, added from the lower index
+        if (start < first) edges.push({ from: start, to: first, pixels: [start, first] });
+        return;
+      }
+      if (visited[first]) return;
+
+      // Follow the chain until it reaches another node
+      // Cells touching the previous cell too are corner shortcuts, only taken if nothing else continues
+      const pixels = [start];
+      let previous = start;
+      let current = first;
+      while (!isNode[current]) {
+        visited[current] = 1;
+        pixels.push(current);
+        const candidates = neighborsOf(current).filter(j => j !== previous && j !== start && (isNode[j] || !visited[j]));
+        const previousNeighbors = neighborsOf(previous);
+        const next = candidates.find(j => !previousNeighbors.includes(j)) ?? candidates[0];
+        if (next === undefined) break;
+        previous = current;
+        current = next;
+      }
+      if (isNode[current] && current !== start) {
+        pixels.push(current);
+        edges.push({ from: start, to: current, pixels });
+      }
+    });
+  }
+
+  return { edges };
+}
+
+// Drop short edges that end in nothing (the whiskers thinning leaves on bumpy outlines)
+function pruneSpurs(graph, minSpur) {
+  const degree = new Map();
+  graph.edges.forEach(edge => {
+    degree.set(edge.from, (degree.get(edge.from) || 0) + 1);
+    degree.set(edge.to, (degree.get(edge.to) || 0) + 1);
+  });
+  graph.edges = graph.edges.filter(edge => {
+    const deadEnd = degree.get(edge.from) === 1 || degree.get(edge.to) === 1;
+    const bothEnds = degree.get(edge.from) === 1 && degree.get(edge.to) === 1;
+    return bothEnds || !deadEnd || edge.pixels.length >= minSpur;
+  });
+}
+
+// ===== LIMB ENDS =====
+// Degree-1 nodes with the direction their limb points in (from a few cells back to the end)
+export function findLimbEnds(skeleton) {
+  const ends = [];
+  skeleton.edges.forEach(edge => {
+    [[edge.from, edge.points], [edge.to, [...edge.points].reverse()]].forEach(([nodeId, points]) => {
+      if (skeleton.nodes[nodeId].degree !== 1) return;
+      const tip = points[0];
+      const back = points[Math.min(6, points.length - 1)];
+      const dx = tip.x - back.x;
+      const dy = tip.y - back.y;
+      const length = Math.hypot(dx, dy) || 1;
+      ends.push({ x: tip.x, y: tip.y, dx: dx / length, dy: dy / length, limbLength: points.length });
+    });
+  });
+  return ends;
+}
+
+// ===== GROWTH =====
+// New branches continue the limbs that end in the upper part of the figure
+// positions: the figure's particles (for the depth and color of each tip). Returns new particles
+export function growSkeletonBranches(skeleton, positions, options, random) {
+  const settings = { ...SKELETON_DEFAULTS, ...options };
+  const { minY, maxY } = skeleton.bounds;
+  const tipMinY = minY + (maxY - minY) * settings.tipZone;
+
+  const tips = findLimbEnds(skeleton)
+    .filter(end => end.y >= tipMinY)
+    .sort((a, b) => b.limbLength - a.limbLength)
+    .slice(0, settings.maxTips);
+
+  // Attraction points in a cone ahead of each tip: limbs keep their heading and fork where points split
+  const lookup = createLookup(positions, skeleton.cellSize * 3);
+  const starts = [];
+  const attractors = [];
+  tips.forEach(tip => {
+    const { z, color } = lookup(tip.x, tip.y);
+    starts.push({ x: tip.x, y: tip.y, z, dx: tip.dx, dy: tip.dy, dz: 0, color });
+
+    const heading = Math.atan2(tip.dy, tip.dx);
+    for (let k = 0; k < settings.attractors; k++) {
+      const distance = settings.branchReach * (0.25 + 0.75 * random());
+      const angle = heading + (random() - 0.5) * 2 * settings.branchSpread;
+      attractors.push({
+        x: tip.x + Math.cos(angle) * distance,
+        y: tip.y + Math.sin(angle) * distance,
+        z: z + (random() - 0.5) * distance * 0.2
+      });
+    }
+  });
+
+  return colonize(starts, attractors, settings, settings.branchReach, random);
+}
+
+// Roots fan out from the base of the trunk (and continue any limbs that already reach down there)
+export function growSkeletonRoots(skeleton, positions, options, random) {
+  const settings = { ...SKELETON_DEFAULTS, ...options };
+  const { minY, maxY } = skeleton.bounds;
+  const rootMaxY = minY + (maxY - minY) * settings.rootZone;
+  const lookup = createLookup(positions, skeleton.cellSize * 3);
+
+  // Base of the trunk: the lowest skeleton point (or the lowest particle without a skeleton)
+  let base = null;
+  skeleton.edges.forEach(edge => edge.points.forEach(point => {
+    if (!base || point.y < base.y) base = point;
+  }));
+  if (!base) {
+    positions.forEach(p => {
+      if (!base || p.y < base.y) base = p;
+    });
+  }
+
+  const starts = [];
+  const { z: baseZ, color: baseColor } = lookup(base.x, base.y);
+  for (let r = 0; r < settings.rootCount; r++) {
+    // Fan from lower left to lower right around the trunk, each root leaning a different way in depth
+    const angle = -Math.PI * (0.12 + 0.76 * (r + 0.5) / settings.rootCount);
+    const dz = Math.sin(r * 2.4);
+    starts.push({
+      x: base.x + Math.cos(angle) * settings.step,
+      y: base.y + Math.sin(angle) * settings.step,
+      z: baseZ + dz * settings.step,
+      dx: Math.cos(angle),
+      dy: Math.sin(angle),
+      dz,
+      color: baseColor
+    });
+  }
+  const attractors = [];
+  findLimbEnds(skeleton)
+    .filter(end => end.y <= rootMaxY && end.dy < 0.5)
+    .forEach(end => {
+      // Roots the figure already has keep spreading, bending down a little as they go
+      const { z, color } = lookup(end.x, end.y);
+      starts.push({ x: end.x, y: end.y, z, dx: end.dx, dy: end.dy, dz: 0, color });
+      const heading = Math.atan2(end.dy - 0.5, end.dx);
+      for (let k = 0; k < settings.attractors; k++) {
+        const distance = settings.rootReach * 0.5 * (0.25 + 0.75 * random());
+        const angle = heading + (random() - 0.5) * 2 * settings.branchSpread;
+        attractors.push({
+          x: end.x + Math.cos(angle) * distance,
+          y: end.y + Math.sin(angle) * distance,
+          z: z + (random() - 0.5) * distance * 0.2
+        });
+      }
+    });
+
+  // Attraction points in a flattened bowl under the base (roots spread wider than they go deep)
+  for (let k = 0; k < settings.rootCount * settings.attractors; k++) {
+    const spread = Math.sqrt(random());
+    const angle = random() * Math.PI * 2;
+    attractors.push({
+      x: base.x + Math.cos(angle) * spread * settings.rootReach,
+      y: base.y - random() * settings.rootReach * 0.45,
+      z: baseZ + Math.sin(angle) * spread * settings.rootReach * 0.3
+    });
+  }
+
+  return colonize(starts, attractors, settings, settings.rootReach, random);
+}
+
+// Space colonization: every attraction point pulls its nearest limb end within `influence`;
+// each pulled end grows one step toward the average pull (keeping some of its heading),
+// and points a limb has reached are removed. Returns particles along all new limb segments
+function colonize(starts, attractors, settings, reach, random) {
+  const nodes = starts.map(start => ({ ...start, depth: 0, origin: start }));
+  const hash = new SpatialHash(settings.influence);
+  nodes.forEach(node => hash.insert(node, node.x, node.y, node.z));
+
+  const segments = [];
+  const maxDepth = Math.ceil(reach / settings.step);
+  let live = attractors;
+
+  for (let iteration = 0; iteration < maxDepth * 2 && live.length > 0; iteration++) {
+    const pulls = new Map();
+    live.forEach(point => {
+      let closest = null;
+      let closestDistance = Infinity;
+      hash.forEachNear(point.x, point.y, point.z, settings.influence, (node, distanceSquared) => {
+        if (distanceSquared < closestDistance && node.depth < maxDepth) {
+          closestDistance = distanceSquared;
+          closest = node;
+        }
+      });
+      if (!closest) return;
+
+      const distance = Math.sqrt(closestDistance) || 1;
+      const pull = pulls.get(closest) || { x: 0, y: 0, z: 0 };
+      pull.x += (point.x - closest.x) / distance;
+      pull.y += (point.y - closest.y) / distance;
+      pull.z += (point.z - closest.z) / distance;
+      pulls.set(closest, pull);
+    });
+    if (pulls.size === 0) break;
+
+    pulls.forEach((pull, node) => {
+      const pullLength = Math.hypot(pull.x, pull.y, pull.z) || 1;
+      let dx = pull.x / pullLength + node.dx * 0.5;
+      let dy = pull.y / pullLength + node.dy * 0.5;
+      let dz = pull.z / pullLength + node.dz * 0.5;
+      const length = Math.hypot(dx, dy, dz) || 1;
+      dx /= length;
+      dy /= length;
+      dz /= length;
+
+      const child = {
+        x: node.x + dx * settings.step,
+        y: node.y + dy * settings.step,
+        z: node.z + dz * settings.step,
+        dx, dy, dz,
+        depth: node.depth + 1,
+        origin: node.origin
+      };
+      hash.insert(child, child.x, child.y, child.z);
+      segments.push([node, child]);
+    });
+
+    live = live.filter(point => !hash.hasNear(point.x, point.y, point.z, settings.kill));
+  }
+
+  // Particles scattered along each segment, thinning toward the limb's end
+  const particles = [];
+  segments.forEach(([parent, child]) => {
+    const taper = 1 - (2 / 3) * Math.min(child.depth / maxDepth, 1);
+    const radius = settings.thickness * taper;
+    const count = Math.max(1, Math.round(settings.step * settings.density * taper));
+    for (let p = 0; p < count; p++) {
+      const t = random();
+      particles.push({
+        x: parent.x + (child.x - parent.x) * t + (random() - 0.5) * 2 * radius,
+        y: parent.y + (child.y - parent.y) * t + (random() - 0.5) * 2 * radius,
+        z: parent.z + (child.z - parent.z) * t + (random() - 0.5) * radius,
+        color: child.origin.color
+      });
+    }
+  });
+  return particles;
+}
+
+// Depth and color of the figure near a point (limbs start at the particles they grow from)
+function createLookup(positions, radius) {
+  const hash = SpatialHash.fromPoints(positions, radius, p => ({ x: p.x, y: p.y, z: 0 }));
+  return (x, y) => {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    hash.forEachNear(x, y, 0, radius, (p, distanceSquared) => {
+      if (distanceSquared < nearestDistance) {
+        nearestDistance = distanceSquared;
+        nearest = p;
+      }
+    });
+    // Colored clouds need a color on every particle, so fall back to the first one's
+    return nearest ? { z: nearest.z, color: nearest.color } : { z: 0, color: positions[0].color };
+  };
+}
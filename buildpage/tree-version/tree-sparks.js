@@ -0,0 +1,178 @@
+// TREE PAGE: Spark Emitter
+// Fireplace sparks come from a pool of their own particles instead of borrowing the figure's,
+// so the tree never loses points while sparks fly. Emission is paced by frame time (sparks per
+// second per region), so background tabs and timer throttling don't change the rate.
+// tree-engine.js draws the pool (see createSparkPool) and calls update() once per frame.
+// Plain ES module (EventTarget, no DOM)
+//
+//   dispose - dispose() was called; the engine removes the pool from the scene
+
+const IDLE_START = -1e4;          // starts[] value for free pool slots
+
+export class SparkEmitter extends EventTarget {
+  // capacity: most sparks in flight at once (new sparks are dropped while every slot is busy)
+  constructor(capacity) {
+    super();
+    this.capacity = capacity;
+    this.random = Math.random;
+    this.duration = 3;             // Seconds a spark lives (figure.sparks.fadeDuration)
+    this.running = false;
+    this.disposed = false;
+    this.regions = new Map();      // name → { rate, select, indices, pending }
+    this.particles = null;
+    this.source = null;
+
+    // Pool buffers, uploaded as-is by the engine: where each spark starts, its color,
+    // when it started (IDLE_START = free) and the phase of its curvy path
+    this.positions = new Float32Array(capacity * 3);
+    this.colors = new Float32Array(capacity * 3);
+    this.starts = new Float32Array(capacity).fill(IDLE_START);
+    this.phases = new Float32Array(capacity);
+    this.next = 0;                 // Ring position: the slot that was used longest ago
+    this.dirtyStart = Infinity;
+    this.dirtyEnd = -1;
+  }
+
+  // Region: a set of particles that emits `rate` sparks per second while running
+  // select(particles) returns the particle indices; it runs again whenever a new cloud is bound
+  // Adding a region under an existing name replaces it (e.g. to change a built-in region's rate)
+  addRegion(name, { rate, select }) {
+    if (typeof select !== 'function') {
+      throw new Error(`Spark region "${name}" needs a select(particles) function`);
+    }
+    this.regions.set(name, { rate, select, indices: null, pending: 0 });
+    return this;
+  }
+
+  removeRegion(name) {
+    this.regions.delete(name);
+    return this;
+  }
+
+  // New cloud: regions are re-selected on the next update
+  // source(index) returns { x, y, z, color } for a particle, or null if it can't spark right now
+  // random: seeded Math.random() replacement for picks and spark paths (see tree-random.js)
+  bind(particles, source, random = this.random) {
+    this.particles = particles;
+    this.source = source;
+    this.random = random;
+    this.regions.forEach(region => {
+      region.indices = null;
+      region.pending = 0;
+    });
+    return this;
+  }
+
+  // Regions emit until stop(); sparks already flying always finish
+  start() {
+    if (this.disposed) {
+      throw new Error('Spark emitter was disposed');
+    }
+    this.running = true;
+    return this;
+  }
+
+  stop() {
+    this.running = false;
+    return this;
+  }
+
+  // Frees the pool and regions; the emitter can't be started again
+  dispose() {
+    if (this.disposed) return;
+    this.running = false;
+    this.disposed = true;
+    this.regions.clear();
+    this.particles = null;
+    this.source = null;
+    this.dispatchEvent(new CustomEvent('dispose'));
+  }
+
+  // Emit every region's share of sparks for deltaTime seconds (called once per frame)
+  // time: the clock spark start times are measured in (the shader's uTime)
+  update(deltaTime, time) {
+    if (!this.running || !this.particles) return;
+
+    this.regions.forEach(region => {
+      if (!region.indices) region.indices = region.select(this.particles);
+      if (region.indices.length === 0 || !(region.rate > 0)) return;
+
+      // Whole sparks this frame; the fraction carries over so low rates still emit
+      region.pending += region.rate * deltaTime;
+      while (region.pending >= 1) {
+        region.pending -= 1;
+        this.emit(region.indices[Math.floor(this.random() * region.indices.length)], time);
+      }
+    });
+  }
+
+  // One spark from a particle (region emission and click bursts); false if nothing was emitted
+  emit(index, time) {
+    if (this.disposed || !this.source) return false;
+    const slot = this.next;
+    if (time - this.starts[slot] < this.duration) return false;   // Pool full
+
+    const source = this.source(index);
+    if (!source) return false;
+
+    this.positions[slot * 3] = source.x;
+    this.positions[slot * 3 + 1] = source.y;
+    this.positions[slot * 3 + 2] = source.z;
+    this.colors[slot * 3] = source.color[0];
+    this.colors[slot * 3 + 1] = source.color[1];
+    this.colors[slot * 3 + 2] = source.color[2];
+    this.starts[slot] = time;
+    this.phases[slot] = this.random() * Math.PI * 2;
+
+    this.dirtyStart = Math.min(this.dirtyStart, slot);
+    this.dirtyEnd = Math.max(this.dirtyEnd, slot);
+    this.next = (slot + 1) % this.capacity;
+    return true;
+  }
+
+  // Slots written since the last call as { start, count } (null if none), so only they are uploaded
+  // A frame that wraps around the ring reports the whole span between its lowest and highest slot
+  takeDirtyRange() {
+    if (this.dirtyEnd < 0) return null;
+    const range = { start: this.dirtyStart, count: this.dirtyEnd - this.dirtyStart + 1 };
+    this.dirtyStart = Infinity;
+    this.dirtyEnd = -1;
+    return range;
+  }
+}
+
+// ===== BUILT-IN REGIONS =====
+// Selectors for addRegion; particles are the engine's particle objects (originalX/Y/Z)
+
+export function selectAll(particles) {
+  return Array.from(particles.keys());
+}
+
+// Bottom share of the figure's height (the roots)
+export function selectRoots(share = 0.2) {
+  return particles => {
+    let minY = Infinity;
+    let maxY = -Infinity;
+    particles.forEach(p => {
+      if (p.originalY < minY) minY = p.originalY;
+      if (p.originalY > maxY) maxY = p.originalY;
+    });
+    const threshold = minY + (maxY - minY) * share;
+
+    const indices = [];
+    particles.forEach((p, index) => {
+      if (p.originalY <= threshold) indices.push(index);
+    });
+    return indices;
+  };
+}
+
+// Outer edge: the share of particles farthest from the center horizontally
+export function selectOuterEdge(share = 0.3) {
+  return particles => {
+    const distances = particles.map(p => Math.sqrt(p.originalX * p.originalX + p.originalZ * p.originalZ));
+    return Array.from(particles.keys())
+      .sort((a, b) => distances[b] - distances[a])
+      .slice(0, Math.floor(particles.length * share));
+  };
+}
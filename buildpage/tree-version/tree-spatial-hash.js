@@ -0,0 +1,104 @@
+// TREE PAGE: Spatial Hash
+// Buckets points into a uniform 3D grid so "what's near this point" only looks at a few cells
+// instead of every particle. Used by tree-generator.js (branch tips), tree-skeleton.js (limbs and growth)
+// and tree-engine.js (pointer interaction). Plain ES module, safe to use inside the worker.
+
+// Large primes to spread cell coordinates over the key space
+const HASH_X = 73856093;
+const HASH_Y = 19349663;
+const HASH_Z = 83492791;
+
+export class SpatialHash {
+  // cellSize: roughly the query radius you'll use most (queries stay correct for any radius)
+  constructor(cellSize) {
+    this.cellSize = cellSize;
+    this.cells = new Map();
+    this.size = 0;
+  }
+
+  // Build a hash from an array of items; getPosition(item) returns { x, y, z }
+  static fromPoints(points, cellSize, getPosition = point => point) {
+    const hash = new SpatialHash(cellSize);
+    points.forEach(point => {
+      const { x, y, z = 0 } = getPosition(point);
+      hash.insert(point, x, y, z);
+    });
+    return hash;
+  }
+
+  insert(item, x, y, z = 0) {
+    const key = this.keyFor(this.cellIndex(x), this.cellIndex(y), this.cellIndex(z));
+    let cell = this.cells.get(key);
+    if (!cell) {
+      cell = { items: [], positions: [] };
+      this.cells.set(key, cell);
+    }
+    cell.items.push(item);
+    cell.positions.push(x, y, z);
+    this.size++;
+  }
+
+  // Calls callback(item, distanceSquared) for every item within radius of (x, y, z)
+  // Return false from the callback to stop early
+  forEachNear(x, y, z, radius, callback) {
+    const radiusSquared = radius * radius;
+    const minX = this.cellIndex(x - radius), maxX = this.cellIndex(x + radius);
+    const minY = this.cellIndex(y - radius), maxY = this.cellIndex(y + radius);
+    const minZ = this.cellIndex(z - radius), maxZ = this.cellIndex(z + radius);
+    // Distinct cells can share a key (hash collision), so visit each bucket once
+    const visited = new Set();
+
+    for (let ix = minX; ix <= maxX; ix++) {
+      for (let iy = minY; iy <= maxY; iy++) {
+        for (let iz = minZ; iz <= maxZ; iz++) {
+          const key = this.keyFor(ix, iy, iz);
+          if (visited.has(key)) continue;
+          visited.add(key);
+
+          const cell = this.cells.get(key);
+          if (!cell) continue;
+
+          const { items, positions } = cell;
+          for (let i = 0; i < items.length; i++) {
+            const dx = positions[i * 3] - x;
+            const dy = positions[i * 3 + 1] - y;
+            const dz = positions[i * 3 + 2] - z;
+            const distanceSquared = dx * dx + dy * dy + dz * dz;
+            if (distanceSquared <= radiusSquared && callback(items[i], distanceSquared) === false) {
+              return;
+            }
+          }
+        }
+      }
+    }
+  }
+
+  // Items within radius of (x, y, z)
+  queryRadius(x, y, z, radius) {
+    const results = [];
+    this.forEachNear(x, y, z, radius, item => { results.push(item); });
+    return results;
+  }
+
+  // Number of items within radius, counting stops at limit
+  countNear(x, y, z, radius, limit = Infinity) {
+    let count = 0;
+    this.forEachNear(x, y, z, radius, () => {
+      count++;
+      return count < limit;
+    });
+    return count;
+  }
+
+  hasNear(x, y, z, radius) {
+    return this.countNear(x, y, z, radius, 1) > 0;
+  }
+
+  cellIndex(value) {
+    return Math.floor(value / this.cellSize);
+  }
+
+  keyFor(ix, iy, iz) {
+    return (ix * HASH_X) ^ (iy * HASH_Y) ^ (iz * HASH_Z);
+  }
+}
@@ -0,0 +1,97 @@
+// TREE PAGE: Growth Timeline
+// Drives the sapling → growth → sparks sequence as a scrubbable 0-1 progress value.
+// tree-engine.js ticks it from the animation loop and reads `progress` into the shader's growth wave;
+// page code controls it (play, pause, seek, reverse, speed) and listens for its events:
+//
+//   growthStart    - progress leaves the sapling (0), by playing or seeking
+//   growthProgress - progress changed (every frame while playing, and on seek) - detail: { progress, direction }
+//   growthPause    - pause() while playing
+//   growthComplete - progress reached 1 (fully grown)
+//   growthReset    - progress came back to 0 (shrunk back to the sapling)
+//
+// Plain ES module (EventTarget, no DOM)
+
+export class GrowthTimeline extends EventTarget {
+  // duration: seconds from sapling to fully grown at speed 1
+  constructor(duration) {
+    super();
+    this.duration = duration;
+    this.progress = 0;
+    this.speed = 1;
+    this.direction = 1;            // 1 = growing, -1 = shrinking
+    this.playing = false;
+  }
+
+  // Grow forward from the current progress (a fully grown timeline replays from the sapling)
+  play() {
+    if (this.progress >= 1) {
+      this.moveTo(0);
+    }
+    this.direction = 1;
+    this.start();
+    return this;
+  }
+
+  pause() {
+    if (!this.playing) return this;
+    this.playing = false;
+    this.emit('growthPause');
+    return this;
+  }
+
+  // Shrink back toward the sapling from the current progress
+  reverse() {
+    if (this.progress <= 0) return this;
+    this.direction = -1;
+    this.start();
+    return this;
+  }
+
+  // Jump to a progress (0 = sapling, 1 = grown); playback state is kept
+  seek(progress) {
+    this.moveTo(progress);
+    return this;
+  }
+
+  // Playback rate: 2 = twice as fast, 0.5 = half speed
+  setSpeed(speed) {
+    if (!(speed > 0)) {
+      throw new Error(`Timeline speed must be above 0 (got ${speed})`);
+    }
+    this.speed = speed;
+    return this;
+  }
+
+  // Sapling again, paused
+  reset() {
+    this.playing = false;
+    return this.seek(0);
+  }
+
+  // Advance by deltaTime seconds of page time (called once per frame)
+  tick(deltaTime) {
+    if (!this.playing) return;
+    this.moveTo(this.progress + this.direction * this.speed * deltaTime / this.duration);
+  }
+
+  start() {
+    this.playing = true;
+  }
+
+  // Playback stops at either end, with an event when an end is newly reached
+  moveTo(progress) {
+    const previous = this.progress;
+    this.progress = Math.min(Math.max(progress, 0), 1);
+    if (previous === 0 && this.progress > 0) this.emit('growthStart');
+    this.emit('growthProgress');
+
+    if (this.progress === 1 && this.direction > 0) this.playing = false;
+    if (this.progress === 0 && this.direction < 0) this.playing = false;
+    if (this.progress === 1 && previous < 1) this.emit('growthComplete');
+    if (this.progress === 0 && previous > 0) this.emit('growthReset');
+  }
+
+  emit(type) {
+    this.dispatchEvent(new CustomEvent(type, { detail: { progress: this.progress, direction: this.direction } }));
+  }
+}
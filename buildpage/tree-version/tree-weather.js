@@ -0,0 +1,116 @@
+// TREE PAGE: Weather & Seasons
+// Seasonal effects on top of the figure: falling leaves, snow that settles on the upper branches,
+// blossoms on the branch tips and wind gusts that bend the crown. CONFIG.weather.mode picks them
+// by name, by season, or from the date ('auto'), so community pages change with the seasons.
+// Leaves, snow and blossoms are SparkEmitter pools (tree-sparks.js) drawn by tree-engine.js.
+// Plain ES module (no DOM)
+
+import { selectOuterEdge } from './tree-sparks.js';
+
+export const WEATHER_MODES = ['leaves', 'snow', 'blossoms', 'wind'];
+
+// What 'auto' (and a season name) turns on
+export const SEASON_WEATHER = {
+  winter: ['snow'],
+  spring: ['blossoms'],
+  summer: ['wind'],
+  autumn: ['leaves', 'wind']
+};
+
+// Meteorological seasons: whole months, winter = December to February up north
+const NORTH_SEASONS = [
+  'winter', 'winter', 'spring', 'spring', 'spring', 'summer',
+  'summer', 'summer', 'autumn', 'autumn', 'autumn', 'winter'
+];
+
+export function getSeason(date = new Date(), hemisphere = 'north') {
+  const month = hemisphere === 'south' ? (date.getMonth() + 6) % 12 : date.getMonth();
+  return NORTH_SEASONS[month];
+}
+
+// mode: 'auto' | 'none' | a season | a weather mode | an array or comma list of them → weather modes
+// Unknown names are skipped with a warning so a typo in ?weather= doesn't break the page
+export function resolveWeatherModes(mode, date, hemisphere) {
+  const names = Array.isArray(mode) ? mode : String(mode).split(',');
+  const modes = new Set();
+  names.map(name => name.trim()).filter(Boolean).forEach(name => {
+    if (name === 'none') return;
+    if (name === 'auto') {
+      SEASON_WEATHER[getSeason(date ?? new Date(), hemisphere)].forEach(m => modes.add(m));
+    } else if (SEASON_WEATHER[name]) {
+      SEASON_WEATHER[name].forEach(m => modes.add(m));
+    } else if (WEATHER_MODES.includes(name)) {
+      modes.add(name);
+    } else {
+      console.warn(`⚠️ Unknown weather "${name}" (use auto, none, ${Object.keys(SEASON_WEATHER).join(', ')} or ${WEATHER_MODES.join(', ')})`);
+    }
+  });
+  return [...modes];
+}
+
+// ===== WIND =====
+// Gusty wind as a smooth function of time (seconds) → { x, z } lean of the crown's top in figure px
+// Three slow waves of unrelated periods add up to an irregular swell; only its peaks become gusts,
+// on top of a light steady breeze. The direction veers a little as it blows.
+export function createGust(settings, random) {
+  const phases = [random(), random(), random(), random()].map(value => value * Math.PI * 2);
+  const gustiness = Math.min(Math.max(settings.gustiness, 0.05), 1);
+
+  return time => {
+    const swell = (
+      Math.sin(time * 0.31 + phases[0]) +
+      Math.sin(time * 0.17 + phases[1]) * 0.7 +
+      Math.sin(time * 0.53 + phases[2]) * 0.4
+    ) / 2.1;
+    const gust = Math.max(0, (swell - (1 - 2 * gustiness)) / (2 * gustiness));
+    const strength = settings.breeze + Math.min(gust, 1) ** 2 * settings.strength;
+    const angle = settings.direction + Math.sin(time * 0.11 + phases[3]) * 0.4;
+    return { x: Math.cos(angle) * strength, z: Math.sin(angle) * strength };
+  };
+}
+
+// ===== REGIONS =====
+// Selectors for SparkEmitter.addRegion; particles are the engine's particle objects (originalX/Y/Z)
+
+// Outer edge particles above minHeight (0-1 of the figure's height): the crown's outer reaches,
+// where leaves let go and blossoms open
+export function selectCrownEdge(minHeight, share = 0.3) {
+  const selectEdge = selectOuterEdge(share);
+  return particles => {
+    const threshold = getHeightAt(particles, minHeight);
+    return selectEdge(particles).filter(index => particles[index].originalY >= threshold);
+  };
+}
+
+// Top surfaces above minHeight: in each vertical column of cellSize px, the particles within
+// `depth` px of the highest one - where falling snow would come to rest
+export function selectTopSurface(minHeight, cellSize = 6, depth = 3) {
+  return particles => {
+    const threshold = getHeightAt(particles, minHeight);
+    const columnTops = new Map();
+    const columnOf = p => `${Math.floor(p.originalX / cellSize)},${Math.floor(p.originalZ / cellSize)}`;
+    particles.forEach(p => {
+      const key = columnOf(p);
+      const top = columnTops.get(key);
+      if (top === undefined || p.originalY > top) columnTops.set(key, p.originalY);
+    });
+
+    const indices = [];
+    particles.forEach((p, index) => {
+      if (p.originalY >= threshold && columnTops.get(columnOf(p)) - p.originalY <= depth) {
+        indices.push(index);
+      }
+    });
+    return indices;
+  };
+}
+
+function getHeightAt(particles, share) {
+  let minY = Infinity;
+  let maxY = -Infinity;
+  particles.forEach(p => {
+    if (p.originalY < minY) minY = p.originalY;
+    if (p.originalY > maxY) maxY = p.originalY;
+  });
+  return minY + (maxY - minY) * share;
+}
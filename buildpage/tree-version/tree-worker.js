@@ -0,0 +1,27 @@
+// TREE PAGE: Point Cloud Worker
+// Runs tree-generator.js off the main thread so the page keeps animating while a figure builds.
+// Loaded by tree-engine.js as a module worker.
+//
+// In:  { id, figure, seed, source }
+//      source: { kind: 'image', pixels (ArrayBuffer), width, height } or { kind: 'points', buffer, fileName }
+// Out: { id, type: 'progress', stage, progress }
+//      { id, type: 'done', count, positions, growthOrder, sapling, colors }  (buffers are transferred)
+//      { id, type: 'error', message }
+
+import { generateFromSource } from './tree-generator.js';
+
+self.onmessage = (event) => {
+  const { id, figure, seed, source } = event.data;
+
+  try {
+    const result = generateFromSource(figure, source, seed, (stage, progress) => {
+      self.postMessage({ id, type: 'progress', stage, progress });
+    });
+
+    const transfer = [result.positions.buffer, result.growthOrder.buffer, result.sapling.buffer];
+    if (result.colors) transfer.push(result.colors.buffer);
+    self.postMessage({ id, type: 'done', ...result }, transfer);
+  } catch (error) {
+    self.postMessage({ id, type: 'error', message: error.message });
+  }
+};